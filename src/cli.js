@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+
+/**
+ * Command line entry point.
+ *
+ * Usage: rwint-trello <connector> [--config <path|json>] [--dry-run] [--listen]
+ *
+ * The configuration is loaded from the `--config` option or the `CONFIG`
+ * environment variable, either as a path to a JSON file or as inline JSON.
+ * The Trello credentials and board ID can be overridden with the
+ * `TRELLO_API_KEY`, `TRELLO_API_TOKEN` and `TRELLO_BOARD_ID` environment
+ * variables.
+ *
+ * With `--listen`, the connector runs a full sync then keeps running as a
+ * webhook listener, re-syncing the cards changed on the watched boards.
+ *
+ * The connector scripts (ex: `node src/topics.js`) can still be run directly
+ * with the `CONFIG` environment variable, as before this entry point was
+ * introduced: they call `main` with their connector name.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+const Logger = require('./libs/logger.js').Logger;
+const TrelloClient = require('./libs/trello.js').TrelloClient;
+const RWApiClient = require('./libs/rwapi.js').RWApiClient;
+const DateWrapper = require('./libs/date.js').DateWrapper;
+const WebhookListener = require('./libs/webhooks.js').WebhookListener;
+const schema = require('./libs/schema.js');
+
+// Exit codes.
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+
+// Available connectors.
+const connectors = {
+  countries: {
+    module: './countries.js',
+    manager: 'CountryManager',
+    rwapi: true,
+  },
+  disasters: {
+    module: './disasters.js',
+    manager: 'DisasterManager',
+    rwapi: true,
+  },
+  topics: {
+    module: './topics.js',
+    manager: 'TopicManager',
+    rwapi: true,
+  },
+  overview: {
+    module: './overview.js',
+    manager: 'OverviewManager',
+    rwapi: false,
+  },
+};
+
+// Environment variables overriding configuration values.
+const environmentOverrides = {
+  TRELLO_API_KEY: ['trello', 'key'],
+  TRELLO_API_TOKEN: ['trello', 'token'],
+  TRELLO_BOARD_ID: ['trello', 'boardId'],
+};
+
+/**
+ * Get the usage message.
+ */
+function usage() {
+  return [
+    'Usage: rwint-trello <connector> [--config <path|json>] [--dry-run] [--listen]',
+    '',
+    'Connectors: ' + Object.keys(connectors).join(', '),
+    '',
+    'Options:',
+    '  --config <path|json>  Path to a JSON config file or inline JSON config.',
+    '                        Defaults to the CONFIG environment variable.',
+    '  --dry-run             Report the changes to the boards without applying them.',
+    '  --listen              Keep running and sync the cards on Trello webhook',
+    '                        notifications (requires the webhook configuration).',
+    '  --help                Show this message.',
+  ].join('\n');
+}
+
+/**
+ * Parse the command line arguments.
+ */
+function parseArguments(args) {
+  const options = {
+    connector: null,
+    config: null,
+    dryRun: false,
+    listen: false,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    }
+    else if (arg === '--dry-run') {
+      options.dryRun = true;
+    }
+    else if (arg === '--listen') {
+      options.listen = true;
+    }
+    else if (arg === '--config') {
+      if (i + 1 >= args.length) {
+        throw 'Missing value for the --config option';
+      }
+      options.config = args[++i];
+    }
+    else if (arg.indexOf('--config=') === 0) {
+      options.config = arg.substring(9);
+    }
+    else if (arg.indexOf('-') === 0) {
+      throw 'Unknown option: ' + arg;
+    }
+    else if (options.connector === null) {
+      options.connector = arg;
+    }
+    else {
+      throw 'Unexpected argument: ' + arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load the configuration from a file path or inline JSON.
+ */
+function loadConfig(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw 'Missing configuration: use the --config option or the CONFIG environment variable';
+  }
+
+  let json = value;
+  if (value.trim().indexOf('{') !== 0) {
+    try {
+      json = fs.readFileSync(path.resolve(value), 'utf8');
+    }
+    catch (exception) {
+      throw 'Unable to read the configuration file ' + value + ': ' + exception.message;
+    }
+  }
+
+  try {
+    return JSON.parse(json);
+  }
+  catch (exception) {
+    throw 'Invalid JSON configuration: ' + exception.message;
+  }
+}
+
+/**
+ * Override configuration values with environment variables.
+ */
+function applyEnvironment(config, env) {
+  for (const name in environmentOverrides) {
+    if (environmentOverrides.hasOwnProperty(name) && env[name]) {
+      const [section, key] = environmentOverrides[name];
+      config[section] = config[section] || {};
+      config[section][key] = env[name];
+    }
+  }
+  return config;
+}
+
+/**
+ * Validate the configuration of a connector against its schema, then with its
+ * own `validateConfig` function if any, for the rules the schema cannot
+ * express.
+ *
+ * Throws an error with the list of errors and the expected shape of the
+ * configuration.
+ */
+function validateConfig(name, config) {
+  const connector = connectors[name];
+  const connectorModule = require(connector.module);
+  const configSchema = connectorModule.configSchema;
+
+  const errors = schema.validate(config, configSchema);
+  if (errors.length === 0 && typeof connectorModule.validateConfig === 'function') {
+    errors.push(...connectorModule.validateConfig(config));
+  }
+  if (errors.length > 0) {
+    throw new Error([
+      'Invalid configuration for the ' + name + ' connector:',
+      ...errors.map(error => '  - ' + error),
+      '',
+      'Expected configuration:',
+      ...schema.describe(configSchema, '  '),
+    ].join('\n'));
+  }
+}
+
+/**
+ * Create the manager for a connector.
+ */
+function createManager(name, config, logger, dryRun) {
+  const connector = connectors[name];
+  const Manager = require(connector.module)[connector.manager];
+
+  const trelloClient = new TrelloClient(config.trello, logger, dryRun);
+  const clients = [trelloClient];
+
+  let manager;
+  if (connector.rwapi) {
+    const rwapiClient = new RWApiClient(config.rwapi, logger);
+    clients.push(rwapiClient);
+    manager = new Manager(config, logger, trelloClient, rwapiClient, new DateWrapper());
+  }
+  else {
+    manager = new Manager(config, logger, trelloClient, new DateWrapper());
+  }
+
+  return {
+    manager: manager,
+    trelloClient: trelloClient,
+    clients: clients,
+  };
+}
+
+/**
+ * Run a connector in webhook listener mode.
+ *
+ * A full sync is run first, then the cards changed on the watched boards are
+ * synced on the webhook notifications. For the connectors without single card
+ * sync (overview), the notifications trigger a full sync. A full sync is also
+ * run every `refreshInterval` minutes to pick up the ReliefWeb changes.
+ *
+ * Resolves to the process exit code once the process receives SIGINT or
+ * SIGTERM.
+ */
+async function listen(name, config, logger) {
+  let current = null;
+
+  // Run a full sync with a new manager so that no data is kept between runs.
+  const fullSync = async () => {
+    const created = createManager(name, config, logger, false);
+    const summary = await created.manager.process();
+    summary.report(logger);
+    if (summary.getStatus() !== 'fatal') {
+      current = created;
+    }
+    return summary;
+  };
+
+  try {
+    if ((await fullSync()).getStatus() === 'fatal') {
+      return EXIT_FAILURE;
+    }
+  }
+  catch (exception) {
+    logger.error(exception);
+    return EXIT_FAILURE;
+  }
+
+  const listener = new WebhookListener(config.webhook, logger, current.trelloClient, async event => {
+    if (event.type !== 'refresh' && typeof current.manager.syncCard === 'function') {
+      const changed = await current.manager.syncCard(event.cardId);
+      logger.info((changed ? 'Synced card ' : 'No changes for card ') + event.cardId);
+    }
+    else {
+      await fullSync();
+    }
+  });
+
+  // Coalesce all the pending events when they trigger a full sync.
+  if (typeof current.manager.syncCard !== 'function') {
+    listener.getEventKey = () => 'sync';
+  }
+
+  try {
+    // Ignore the notifications for the changes made by the connector.
+    const member = await current.trelloClient.get('/members/me', {fields: 'id'});
+    listener.ignoredMembers.add(member.id);
+
+    await listener.start();
+    await listener.register(current.manager.getWatchedBoards());
+  }
+  catch (exception) {
+    logger.error(exception);
+    await listener.stop();
+    return EXIT_FAILURE;
+  }
+
+  const refreshInterval = (config.webhook.refreshInterval || 60) * 60000;
+  const timer = setInterval(() => listener.enqueue({type: 'refresh'}), refreshInterval);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  logger.info('Stopping the webhook listener');
+  clearInterval(timer);
+  await listener.stop();
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Run a connector. Resolves to the process exit code.
+ */
+async function main(args, env = process.env) {
+  let options;
+  let config;
+
+  try {
+    options = parseArguments(args);
+    if (options.help) {
+      console.log(usage());
+      return EXIT_SUCCESS;
+    }
+    if (!connectors.hasOwnProperty(options.connector)) {
+      throw options.connector === null ? 'Missing connector' : 'Unknown connector: ' + options.connector;
+    }
+    config = applyEnvironment(loadConfig(options.config || env.CONFIG), env);
+    if (options.listen && options.dryRun) {
+      throw 'The --listen and --dry-run options cannot be combined';
+    }
+  }
+  catch (exception) {
+    console.error(String(exception) + '\n\n' + usage());
+    return EXIT_USAGE;
+  }
+
+  try {
+    validateConfig(options.connector, config);
+  }
+  catch (exception) {
+    console.error(exception.message);
+    return EXIT_USAGE;
+  }
+
+  const logger = new Logger(config.debug);
+
+  if (options.listen) {
+    if (!config.webhook || config.dryRun === true) {
+      console.error('The --listen option requires the webhook configuration and no dry run');
+      return EXIT_USAGE;
+    }
+    return listen(options.connector, config, logger);
+  }
+
+  // Dry run mode: record the changes to the board instead of applying them.
+  const dryRun = options.dryRun || config.dryRun === true;
+
+  let summary;
+  try {
+    const {manager, trelloClient, clients} = createManager(options.connector, config, logger, dryRun);
+    summary = await manager.process();
+
+    // Add the number of failed API requests to the summary.
+    for (const client of clients) {
+      summary.apiErrors += client.errors;
+    }
+
+    summary.report(logger);
+    trelloClient.reportPlan();
+  }
+  catch (exception) {
+    logger.error(exception);
+    return EXIT_FAILURE;
+  }
+
+  switch (summary.getStatus()) {
+    case 'fatal':
+      return EXIT_FAILURE;
+
+    case 'partial':
+      return EXIT_PARTIAL;
+  }
+  return EXIT_SUCCESS;
+}
+
+exports.main = main;
+exports.loadConfig = loadConfig;
+exports.parseArguments = parseArguments;
+exports.validateConfig = validateConfig;
+exports.connectors = connectors;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
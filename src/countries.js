@@ -1,5 +1,58 @@
+const BoardSyncManager = require('./libs/sync.js').BoardSyncManager;
+const parseSections = require('./libs/description.js').parseSections;
+const schema = require('./libs/schema.js');
+const members = require('./libs/members.js');
+const staleness = require('./libs/staleness.js');
+
+// Default staleness rules.
+const defaultStaleness = [
+  {label: 'Profile Update > 3 Weeks', color: 'purple', days: 21, field: 'profileUpdate'},
+  {label: 'Profile Update > 2 Weeks', color: 'blue', days: 14, field: 'profileUpdate'},
+  {label: 'Profile Update > 1 Week', color: 'sky', days: 7, field: 'profileUpdate'},
+];
+
+// Configuration schema.
+const configSchema = schema.connectorSchema({
+  properties: {
+    labels: schema.labelsSchema,
+    statuses: {
+      type: 'object',
+      required: true,
+      description: 'ReliefWeb country statuses mapped to board statuses',
+      values: {type: 'string'},
+    },
+    lists: schema.listsSchema,
+    stateFile: schema.stateFileSchema,
+    customFields: schema.customFieldsSchema,
+    members: members.membersSchema({
+      countries: 'country ISO3 code',
+    }),
+    staleness: staleness.stalenessSchema(['profileUpdate']),
+    dueDate: staleness.dueDateSchema(['profileUpdate']),
+  },
+});
+
+/**
+ * Validate that the list statuses are board statuses (`config.statuses`).
+ */
+function validateConfig(config) {
+  const statuses = Array.from(new Set(Object.values(config.statuses)));
+  const errors = [];
+  (config.lists || []).forEach((item, index) => {
+    if (!statuses.includes(item.status)) {
+      errors.push('config.lists[' + index + '].status: unknown status ' + item.status + ', expected one of the statuses values: ' + statuses.join(', '));
+    }
+  });
+  return errors;
+}
+
 /**
  * Country board manager.
+ *
+ * Adapter for the board sync manager, using the ReliefWeb countries as
+ * entities. The status lists are keyed by the board statuses the ReliefWeb
+ * country statuses are mapped to (see `config.statuses`). Without lists, only
+ * the existing cards are updated.
  */
 function CountryManager(config, logger, trelloClient, rwapiClient, date) {
   this.config = config;
@@ -8,48 +61,72 @@ function CountryManager(config, logger, trelloClient, rwapiClient, date) {
   this.rwapiClient = rwapiClient;
   this.date = date;
 
-  this.board = null;
-  this.countries = null;
-
-  this.lists = new Map();
-  this.labels = new Map();
-
   // Current date.
   this.currentDate = this.date.format('D MMM YYYY');
 
   // Constants.
-  this.maxIndex = 10000000;
   this.urlPattern = /^https?:\/\/reliefweb\.int\/taxonomy\/term\/\d+$/;
   this.profileUpdateHeader = '# Last Profile Update\n\n';
   this.profileHeader = '\n\n# Profile\n\n';
+  this.descriptionHeader = 'Last Profile Update';
+  this.sections = ['Last Profile Update', 'Profile'];
+
+  // Card management (see BoardSyncManager): the country cards keep their
+  // name, the archived cards are loaded so that no duplicate is created but
+  // left archived, and the cards of the countries not returned anymore are
+  // archived.
+  this.cardFilter = 'all';
+  this.unarchiveCards = false;
+  this.archiveCards = true;
+  this.renameCards = false;
+  this.moveAllCards = false;
+
+  // Store the last profile update date in a custom field instead of the
+  // description.
+  this.useCustomFields = config.customFields === true;
+  this.customFields = [
+    {key: 'profileUpdate', name: 'Last Profile Update', type: 'date'},
+  ];
 
   // @todo retrieve the string from the config?
   this.ongoingSituation = 'Ongoing Situation';
   this.profileChecked = 'Profile Checked';
-  this.profileUpdateOlderThan3Weeks = 'Profile Update > 3 Weeks';
-  this.profileUpdateOlderThan2Weeks = 'Profile Update > 2 Weeks';
-  this.profileUpdateOlderThan1Week = 'Profile Update > 1 Weeks';
+
+  // Trello members responsible for the countries.
+  this.members = new members.MemberMapping(config.members);
+
+  // Warning labels based on the last profile update date.
+  this.staleness = new staleness.StalenessRules(config.staleness || defaultStaleness);
+
+  // Board sync manager.
+  this.sync = new BoardSyncManager(config, logger, trelloClient, this);
 
   /**
-   * Main process function.
+   * Main process function. Returns the run summary.
    */
   this.process = async () => {
-    try {
-      await this.getCountries();
-      await this.getBoard();
-      await this.prepareLists();
-      await this.prepareLabels();
-      await this.updateBoard();
-    }
-    catch (exception) {
-      this.logger.error(exception);
-    }
+    return this.sync.process();
+  };
+
+  /**
+   * Synchronize a single card (webhook listener mode). Returns true if the
+   * card changed.
+   */
+  this.syncCard = async cardId => {
+    return this.sync.syncCard(cardId);
+  };
+
+  /**
+   * Get the IDs of the boards to watch in webhook listener mode.
+   */
+  this.getWatchedBoards = () => {
+    return [this.config.trello.boardId];
   };
 
   /**
    * Retrieve the ReliefWeb countries.
    */
-  this.getCountries = async () => {
+  this.getEntities = async () => {
     const data = {
       fields: {
         include: [
@@ -62,25 +139,16 @@ function CountryManager(config, logger, trelloClient, rwapiClient, date) {
           'description',
         ]
       },
-      limit: 1000,
       sort: ['id:desc'],
     };
 
-    const result = await this.rwapiClient.fetch('/countries', data);
+    const result = await this.rwapiClient.fetchAll('/countries', data);
     if (!result || !result.data || result.data.length === 0) {
       throw 'Unable to retrieve the ReliefWeb countries';
     }
 
-    if (result.data.length > 0) {
-      // Prepare the country data.
-      const countries = result.data.map(item => this.prepareCountry(item.fields));
-
-      // Store the countries.
-      this.countries = countries;
-    }
-    else {
-      this.countries = [];
-    }
+    // Prepare the country data.
+    return result.data.map(item => this.prepareCountry(item.fields));
   };
 
   /**
@@ -98,114 +166,73 @@ function CountryManager(config, logger, trelloClient, rwapiClient, date) {
   };
 
   /**
-   * Retrieve the Trello board data.
+   * Get the URL identifying a country card.
    */
-  this.getBoard = async () => {
-    const data = {
-      labels: 'all',
-      label_fields: 'name,color',
-      labels_limit: 1000,
-      lists: 'open',
-      list_fields: 'name',
-      cards: 'open',
-      card_fields: 'name,labels,idList,desc',
-      card_attachments: 'true',
-      card_attachment_fields: 'url,name',
-      fields: 'name'
-    };
-
-    const result = await this.trelloClient.get('/boards/' + this.config.trello.boardId, data);
-    if (!result) {
-      throw 'Unable to retrieve the Trello board data';
-    }
-    this.board = result;
+  this.getKey = country => {
+    return country.url;
   };
 
   /**
-   * Retrieve, and create if necessary, the board lists.
+   * Get the name of a country card.
    */
-  this.prepareLists = async () => {
-    // Map the board lists by ID.
-    for (const list of this.board.lists) {
-      this.lists.set(list.id, list);
-    }
+  this.getName = country => {
+    return country.name;
   };
 
   /**
-   * Retrieve, and create if necessary, the board labels.
+   * Get the status of a country, mapped via the configuration statuses.
    */
-  this.prepareLabels = async () => {
-    const labels = new Map();
-    const boardLabels = new Map();
-
-    // Retrieve existing board labels.
-    for (const label of this.board.labels) {
-      if (label.name !== '') {
-        boardLabels.set(label.name, label);
-      }
-    }
+  this.getStatus = country => {
+    return this.config.statuses[country.status];
+  };
 
-    // Get the configuration labels.
-    for (const name in this.config.labels) {
-      if (this.config.labels.hasOwnProperty(name)) {
-        labels.set(name, this.config.labels[name]);
-      }
+  /**
+   * Get the country iso3 and shortname labels.
+   */
+  this.getLabelNames = country => {
+    const labels = [];
+    if (country.iso3) {
+      labels.push(country.iso3);
     }
-
-    // Get the country iso3 and shortname labels.
-    // Those are colorless labels.
-    for (const country of this.countries) {
-      if (country.iso3) {
-        labels.set(country.iso3, '');
-      }
-      if (country.shortname) {
-        labels.set(country.shortname, '');
-      }
+    if (country.shortname) {
+      labels.push(country.shortname);
     }
+    return labels;
+  };
 
-    // Set the manager labels, creating non existing ones.
-    for (const [name, color] of labels) {
-      if (boardLabels.has(name)) {
-        this.labels.set(name, boardLabels.get(name));
-      }
-      else {
-        const label = await this.trelloClient.post('/labels', {
-          name: name,
-          color: color,
-          idBoard: this.config.trello.boardId,
-        });
-        if (!label) {
-          throw 'Unable to create label: ' + name;
-        }
-        else {
-          this.labels.set(name, label);
-          this.logger.info('Created label: ' + name);
-        }
-      }
-    }
+  /**
+   * Get the usernames of the members responsible for a country.
+   */
+  this.getMembers = country => {
+    return this.members.getUsernames('countries', [country.iso3]);
   };
 
   /**
    * Extract the last profile update date from the card description.
    */
   this.prepareCard = card => {
-    if (card.desc !== '') {
-      const i1 = card.desc.lastIndexOf(this.profileUpdateHeader);
-      const i2 = card.desc.lastIndexOf(this.profileHeader);
-      const l1 = this.profileUpdateHeader.length;
-      const l2 = this.profileHeader.length;
-
-      if (i1 !== -1) {
-        if (i2 !== -1) {
-          card.profileUpdate = card.desc.substring(i1 + l1, i2).trim();
-          card.description = card.desc.substring(i2 + l2);
-        }
-        else {
-          card.profileUpdate = card.desc.substring(i1 + l1).trim();
-          card.description = '';
-        }
+    const content = card.parts.content;
+    if (content) {
+      const {sections, missing} = parseSections(content, this.sections);
+      // The date is on the first line of its section.
+      if (sections.has('Last Profile Update')) {
+        card.profileUpdate = sections.get('Last Profile Update').split('\n')[0].trim();
+      }
+      card.description = sections.get('Profile');
+      card.missingSections = missing;
+
+      // Only the profile is in the description in custom fields mode.
+      if (this.useCustomFields) {
+        card.missingSections = missing.filter(heading => heading === 'Profile');
+        card.legacy = sections.has('Last Profile Update');
       }
     }
+
+    // Use the custom field if set, falling back to the description value for
+    // the cards not migrated yet.
+    if (this.useCustomFields && card.fields.profileUpdate) {
+      card.profileUpdate = card.fields.profileUpdate;
+    }
     return card;
   };
 
@@ -213,23 +240,16 @@ function CountryManager(config, logger, trelloClient, rwapiClient, date) {
    * Get the labels for a country.
    */
   this.getCountryLabels = country => {
-    const labels = new Map();
+    // ISO3 and shortname.
+    const labels = this.getLabelNames(country);
 
     // Ongoing situation.
-    if (this.labels.has(this.ongoingSituation) && this.config.statuses[country.status] === 'ongoing') {
-      labels.set(this.ongoingSituation, this.labels.get(this.ongoingSituation).id);
+    if (this.getStatus(country) === 'ongoing') {
+      labels.push(this.ongoingSituation);
     }
     // Profile checked.
-    if (this.labels.has(this.profileChecked) && country.description) {
-      labels.set(this.profileChecked, this.labels.get(this.profileChecked).id);
-    }
-    // ISO3.
-    if (country.iso3 && this.labels.has(country.iso3)) {
-      labels.set(country.iso3, this.labels.get(country.iso3).id);
-    }
-    // Shortname.
-    if (country.shortname && this.labels.has(country.shortname)) {
-      labels.set(country.shortname, this.labels.get(country.shortname).id);
+    if (country.description) {
+      labels.push(this.profileChecked);
     }
 
     return labels;
@@ -239,182 +259,107 @@ function CountryManager(config, logger, trelloClient, rwapiClient, date) {
    * Get the label for the profile last update.
    */
   this.getProfileUpdateLabel = lastUpdate => {
-    const labels = new Map();
-
-    // Get the number of days since the last update.
-    const days = this.date.diffDays(lastUpdate);
-
-    // Last profile update.
-    if (days > 21) {
-      const label = this.labels.get(this.profileUpdateOlderThan3Weeks);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (days > 14) {
-      const label = this.labels.get(this.profileUpdateOlderThan2Weeks);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (days > 7) {
-      const label = this.labels.get(this.profileUpdateOlderThan1Week);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
+    return this.staleness.getLabels('profileUpdate', this.date.diffDays(lastUpdate));
+  };
 
-    return labels;
+  /**
+   * Get the colors of the staleness labels.
+   */
+  this.getLabelColors = () => {
+    return this.staleness.getLabelColors();
   };
 
   /**
-   * Update a card's labels.
+   * Get the labels for a country card.
    */
-  this.updateCardLabels = async (card, country) => {
-    let changed = false;
-
-    // Country labels and warning label regarding last profile update.
-    const labels = new Map([
-      ...this.getCountryLabels(country),
-      ...this.getProfileUpdateLabel(card.profileUpdate),
-    ]);
-
-    // Remove old labels but only country and config ones so that editors
-    // can add custom labels.
-    for (const label of card.labels) {
-      if (!labels.has(label.name)) {
-        if (this.labels.has(label.name)) {
-          try {
-            await this.trelloClient.delete('/cards/' + card.id + '/idLabels/' + label.id);
-            this.logger.debug('Removed old label ' + label.name + ' for card ' + card.name);
-            changed = true;
-          }
-          catch (exception) {
-            this.logger.error('Unable to remove old label ' + label.name + ' for card ' + card.name);
-          }
-        }
-      }
-      else {
-        labels.delete(label.name);
-      }
-    }
+  this.getLabels = (country, card) => {
+    const labels = this.getCountryLabels(country);
 
-    // Add new labels.
-    for (const [name, id] of labels) {
-      try {
-        await this.trelloClient.post('/cards/' + card.id + '/idLabels', {
-          value: id,
-        });
-        this.logger.debug('Added new label ' + name + ' for card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to add label ' + name + ' for card ' + card.name + ': ' + exception);
-      }
+    // Warning label regarding last profile update.
+    if (card) {
+      labels.push(...this.getProfileUpdateLabel(card.profileUpdate));
     }
 
-    return changed;
+    return labels;
   };
 
   /**
    * Generate a card's description.
    */
-  this.generateCardDescription = (country) => {
+  this.generateCardDescription = (country, updateDate) => {
+    if (this.useCustomFields) {
+      return this.profileHeader.trimStart() + (country.description || '');
+    }
+
     return [
       this.profileUpdateHeader,
-      this.currentDate,
+      updateDate || this.currentDate,
       this.profileHeader,
       country.description || '',
     ].join('');
   };
 
   /**
-   * Update a Trello card.
+   * Get the custom field values of a country card.
    */
-  this.updateCard = async (card, country) => {
-    const data = new Map();
-
-    // Update the description.
-    if (country.description !== '') {
-      if (card.description !== country.description) {
-        data.set('desc', this.generateCardDescription(country));
-        this.logger.debug('Update description for ' + country.name);
-      }
-    }
-    else if (card.description === '') {
-      data.set('desc', '');
-      this.logger.debug('Removed description for ' + country.name);
-    }
-
-    // Update the card labels.
-    let changed = await this.updateCardLabels(card, country);
-    if (changed) {
-      this.logger.info('Updated labels for card ' + card.name);
+  this.getCustomFields = (country, card) => {
+    if (card) {
+      return {profileUpdate: card.profileUpdate};
     }
+    return {profileUpdate: country.description !== '' ? this.date.iso() : null};
+  };
 
-    // Update the card if necessary.
-    if (data.size > 0) {
-      try {
-        await this.trelloClient.put('/cards/' + card.id, Object.fromEntries(data));
-        this.logger.info('Updated card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to update card ' + card.name + ': ' + exception);
-      }
-    }
-    else {
-      this.logger.info('No changes for card ' + card.name);
+  /**
+   * Get the due date of a country card based on the last profile update.
+   */
+  this.getDueDate = (country, card) => {
+    if (card) {
+      return this.staleness.getDueDate('profileUpdate', card.profileUpdate);
     }
-    return changed;
+    return country.description !== '' ? this.staleness.getDueDate('profileUpdate', this.date.iso()) : null;
   };
 
   /**
-   * Update the Trello board.
+   * Get the description of a country card if it needs to be updated.
    */
-  this.updateBoard = async () => {
-    const cards = new Map();
-
-    // Update the card descriptions.
-    for (const card of this.board.cards) {
-      if (card.attachments) {
-        for (const attachment of card.attachments) {
-          if (this.urlPattern.test(attachment.url)) {
-            cards.set(attachment.url, this.prepareCard(card));
-            break;
-          }
-        }
-      }
+  this.getDescription = (country, card) => {
+    if (!card) {
+      return country.description !== '' ? this.generateCardDescription(country) : '';
     }
 
-    // Get the list of existing country cards.
-    let updated = 0;
-    for (const country of this.countries) {
-      if (cards.has(country.url)) {
-        if (await this.updateCard(cards.get(country.url), country)) {
-          updated++;
+    const description = country.description.trim();
+    if (description !== '') {
+      if (card.description !== description) {
+        this.logger.debug('Update description for ' + country.name);
+        // Keep the stored update date if the profile section could not be
+        // found as we cannot know if the profile changed.
+        if (typeof card.description === 'string' || !this.date.isValidDate(card.profileUpdate)) {
+          card.profileUpdate = this.useCustomFields ? this.date.iso() : this.currentDate;
         }
+        return this.generateCardDescription(country, card.profileUpdate);
       }
     }
-    this.logger.info('Updated ' + updated + ' card(s)');
+    else if (card.description) {
+      this.logger.debug('Removed description for ' + country.name);
+      return '';
+    }
+
+    // Remove the sections stored in custom fields from the description.
+    if (card.legacy) {
+      return description !== '' ? this.generateCardDescription(country) : '';
+    }
+    return null;
   };
 }
 
-/**
- * Execute logic.
- */
-const config = require(process.env.CONFIG);
-
-const Logger = require('./libs/logger.js').Logger;
-const logger = new Logger(config.debug);
-
-const TrelloClient = require('./libs/trello.js').TrelloClient;
-const trelloClient = new TrelloClient(config.trello, logger);
+exports.CountryManager = CountryManager;
+exports.configSchema = configSchema;
+exports.validateConfig = validateConfig;
+exports.defaultStaleness = defaultStaleness;
 
-const RWApiClient = require('./libs/rwapi.js').RWApiClient;
-const rwapiClient = new RWApiClient(config.rwapi, logger);
-
-const DateWrapper = require('./libs/date.js').DateWrapper;
-
-const manager = new CountryManager(config, logger, trelloClient, rwapiClient, new DateWrapper());
-manager.process();
+// Direct execution (see cli.js).
+if (require.main === module) {
+  require('./cli.js').main(['countries', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -1,5 +1,53 @@
+const BoardSyncManager = require('./libs/sync.js').BoardSyncManager;
+const parseSections = require('./libs/description.js').parseSections;
+const RateLimiter = require('./libs/limiter.js').RateLimiter;
+const glide = require('./libs/glide.js');
+const members = require('./libs/members.js');
+const diff = require('./libs/diff.js');
+const schema = require('./libs/schema.js');
+const staleness = require('./libs/staleness.js');
+
+// Default staleness rules.
+const defaultStaleness = [
+  {label: 'Profile Update > 3 Weeks', color: 'purple', days: 21, field: 'profileUpdate'},
+  {label: 'Profile Update > 2 Weeks', color: 'blue', days: 14, field: 'profileUpdate'},
+  {label: 'Profile Update > 1 Week', color: 'sky', days: 7, field: 'profileUpdate'},
+  {label: 'Last Report > 2 Months', color: 'red', days: 60, field: 'lastReport'},
+  {label: 'Last Report > 1 Month', color: 'orange', days: 30, field: 'lastReport'},
+  {label: 'Last Report > 1 Week', color: 'yellow', days: 7, field: 'lastReport'},
+];
+
+// Configuration schema.
+const configSchema = schema.connectorSchema({
+  properties: {
+    labels: schema.labelsSchema,
+    lists: Object.assign({required: true}, schema.listsSchema),
+    stateFile: schema.stateFileSchema,
+    customFields: schema.customFieldsSchema,
+    diffComments: schema.diffCommentsSchema,
+    members: members.membersSchema({
+      countries: 'country ISO3 code',
+      types: 'disaster type code or name',
+    }),
+    glideUrl: {type: 'string', description: 'URL of the GLIDE number records, followed by the number'},
+    staleness: staleness.stalenessSchema(['profileUpdate', 'lastReport']),
+    dueDate: staleness.dueDateSchema(['profileUpdate', 'lastReport']),
+    reportFacets: {
+      type: 'object',
+      description: 'batching of the report facet queries',
+      properties: {
+        batchSize: {type: 'number', description: 'number of disasters per query (default: 50)'},
+        concurrency: {type: 'number', description: 'number of concurrent queries (default: 2)'},
+      },
+    },
+  },
+});
+
 /**
  * Disaster board manager.
+ *
+ * Adapter for the board sync manager, using the ReliefWeb disasters as
+ * entities.
  */
 function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
   this.config = config;
@@ -8,55 +56,98 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
   this.rwapiClient = rwapiClient;
   this.date = date;
 
-  this.board = null;
-  this.disasters = null;
-
-  this.lists = new Map();
-  this.labels = new Map();
-
   // Current date.
   this.currentDate = this.date.format('D MMM YYYY');
 
   // Constants.
-  this.maxIndex = 10000000;
   this.urlPattern = /^https?:\/\/reliefweb\.int\/taxonomy\/term\/\d+$/;
   this.profileUpdateHeader = '# Last Profile Update\n\n';
   this.profileHeader = '\n\n# Profile\n\n';
   this.glideHeader = '\n\n# Glide Number\n\n';
+  this.activityHeader = '\n\n# Reporting Activity\n\n';
+  this.descriptionHeader = 'Last Profile Update';
+  this.sections = ['Last Profile Update', 'Profile', 'Glide Number', 'Reporting Activity'];
+
+  // Card management (see BoardSyncManager): the disaster cards are renamed,
+  // unarchived and archived with their disaster and always moved to the list
+  // of their status.
+  this.cardFilter = 'all';
+  this.unarchiveCards = true;
+  this.archiveCards = true;
+  this.renameCards = true;
+  this.moveAllCards = true;
+
+  // Reporting activity: number of weeks in the sparkline, periods of the
+  // report counts and trend labels. The trend compares the reports of the
+  // last 4 weeks with the 4 weeks before.
+  this.activityWeeks = 13;
+  this.activityPeriods = [7, 30, 90];
+  this.sparklineCharacters = '▁▂▃▄▅▆▇█';
+  this.trendLabels = new Map([
+    ['Reporting Increasing', 'green'],
+    ['Reporting Declining', 'black'],
+  ]);
+  this.trendRatio = 1.5;
+  this.trendMinimum = 3;
+
+  // GLIDE number validation labels, for the disasters with the given statuses
+  // and link to the GLIDE number records.
+  this.glideLabels = new Map([
+    ['GLIDE Mismatch', 'pink'],
+    ['GLIDE Missing', 'lime'],
+  ]);
+  this.glideStatuses = ['alert', 'ongoing'];
+  this.glideUrl = config.glideUrl || 'https://glidenumber.net/glide/public/search/details.jsp?glide=';
+
+  // The report facets (2 per disaster) are retrieved in batches of disasters
+  // to avoid oversized requests.
+  const reportFacets = config.reportFacets || {};
+  this.facetBatchSize = reportFacets.batchSize || 50;
+  this.facetConcurrency = reportFacets.concurrency || 2;
+
+  // Store the last profile update date and glide number in custom fields
+  // instead of the description.
+  this.useCustomFields = config.customFields === true;
+  this.customFields = [
+    {key: 'profileUpdate', name: 'Last Profile Update', type: 'date'},
+    {key: 'glide', name: 'Glide Number', type: 'text'},
+  ];
+
+  // Trello members responsible for the disaster countries and types.
+  this.members = new members.MemberMapping(config.members);
+
+  // Warning labels based on the last profile update and last report dates.
+  this.staleness = new staleness.StalenessRules(config.staleness || defaultStaleness);
+
+  // Board sync manager.
+  this.sync = new BoardSyncManager(config, logger, trelloClient, this);
 
-  // @todo retrieve the string from the config?
-  this.profileUpdateOlderThan3Weeks = 'Profile Update > 3 Weeks';
-  this.profileUpdateOlderThan2Weeks = 'Profile Update > 2 Weeks';
-  this.profileUpdateOlderThan1Week = 'Profile Update > 1 Weeks';
-
-  // @todo retrieve the string from the config?
-  this.lastReportOlderThan2Months = 'Last Report > 2 Months';
-  this.lastReportOlderThan1Month = 'Last Report > 1 Month';
-  this.lastReportOlderThan1Week = 'Last Report > 1 Week';
+  /**
+   * Main process function. Returns the run summary.
+   */
+  this.process = async () => {
+    return this.sync.process();
+  };
 
-  // Map of the positions of the status lists to help sorting the disasters.
-  this.statusPositions = new Map(this.config.lists.map(item => [item.status, item.position]));
+  /**
+   * Synchronize a single card (webhook listener mode). Returns true if the
+   * card changed.
+   */
+  this.syncCard = async cardId => {
+    return this.sync.syncCard(cardId);
+  };
 
   /**
-   * Main process function.
+   * Get the IDs of the boards to watch in webhook listener mode.
    */
-  this.process = async () => {
-    try {
-      await this.getDisasters();
-      await this.getBoard();
-      await this.prepareLists();
-      await this.prepareLabels();
-      await this.updateBoard();
-    }
-    catch (exception) {
-      this.logger.error(exception);
-    }
+  this.getWatchedBoards = () => {
+    return [this.config.trello.boardId];
   };
 
   /**
    * Retrieve the ReliefWeb disasters.
    */
-  this.getDisasters = async () => {
+  this.getEntities = async () => {
     const data = {
       fields: {
         include: [
@@ -69,11 +160,11 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
           'profile.overview',
           'country.name',
           'country.shortname',
+          'country.iso3',
           'type.name',
           'type.code'
         ]
       },
-      limit: 1000,
       filter: {
         field: 'status',
         value: this.config.lists.map(item => item.status),
@@ -81,27 +172,20 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
       sort: ['id:desc'],
     };
 
-    const result = await this.rwapiClient.fetch('/disasters', data);
+    const result = await this.rwapiClient.fetchAll('/disasters', data);
     if (!result || !result.data) {
       throw 'Unable to retrieve the ReliefWeb disasters';
     }
 
-    if (result.data.length > 0) {
-      // Prepare the disaster data.
-      const disasters = result.data.map(item => this.prepareDisaster(item.fields));
+    // Prepare the disaster data.
+    const disasters = result.data.map(item => this.prepareDisaster(item.fields));
 
-      // Get the extra data for the disasters.
+    // Get the extra data for the disasters.
+    if (disasters.length > 0) {
       await this.getExtraDisasterData(disasters);
-
-      // Sort the disasters.
-      this.sortDisasters(disasters);
-
-      // Store the disasters.
-      this.disasters = disasters;
-    }
-    else {
-      this.disasters = [];
     }
+
+    return disasters;
   };
 
   /**
@@ -130,23 +214,86 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
     // Keep compatibility with existing cards.
     disaster.url = disaster.url.replace(/^https:/, 'http:');
 
-    // Position of the status list to help sort the disasters.
-    disaster.statusPosition = this.statusPositions.get(disaster.status) || 0;
-
     // Set the glide number if not set so we can compare with the one extracted
     // from the disaster card description.
     if (typeof disaster.glide === 'undefined') {
       disaster.glide = '';
     }
 
+    // Check the consistency of the GLIDE numbers with the disaster data.
+    disaster.glideErrors = this.validateGlide(disaster);
+    for (const error of disaster.glideErrors) {
+      this.logger.debug('Invalid GLIDE number for disaster ' + disaster.id + ': ' + error);
+    }
+
     return disaster;
   };
 
+  /**
+   * Validate the GLIDE numbers of a disaster against its types and countries.
+   *
+   * Returns the list of errors.
+   */
+  this.validateGlide = disaster => {
+    const hazards = (disaster.type || []).map(item => String(item.code).toUpperCase());
+    const countries = (disaster.country || []).map(item => String(item.iso3).toUpperCase());
+    const errors = [];
+
+    for (const number of glide.splitGlide(disaster.glide)) {
+      const parsed = glide.parseGlide(number);
+      if (parsed === null) {
+        errors.push(number + ' is not a valid GLIDE number');
+        continue;
+      }
+      if (!hazards.includes(parsed.hazard)) {
+        errors.push(number + ' hazard code ' + parsed.hazard + ' does not match the disaster types ' + hazards.join(', '));
+      }
+      if (!countries.includes(parsed.iso3)) {
+        errors.push(number + ' country code ' + parsed.iso3 + ' does not match the disaster countries ' + countries.join(', '));
+      }
+    }
+    return errors;
+  };
+
   /**
    * Get extra data for the disasters.
+   *
+   * The disasters for which the data could not be retrieved are flagged with
+   * `extraDataMissing` so that their report labels and activity are kept.
    */
   this.getExtraDisasterData = async disasters => {
-    const twoMonthAgo = this.date.clone().substract('months', 2).iso();
+    const limiter = new RateLimiter({
+      maxRequests: Infinity,
+      concurrency: this.facetConcurrency,
+    });
+
+    const batches = [];
+    for (let index = 0; index < disasters.length; index += this.facetBatchSize) {
+      batches.push(disasters.slice(index, index + this.facetBatchSize));
+    }
+
+    await Promise.all(batches.map(batch => limiter.schedule(async () => {
+      try {
+        await this.getExtraDisasterDataBatch(batch);
+      }
+      catch (exception) {
+        this.logger.error('Unable to retrieve extra data for disasters ' + batch.map(disaster => disaster.id).join(', ') + ': ' + exception);
+        for (const disaster of batch) {
+          disaster.extraDataMissing = true;
+        }
+      }
+    })));
+  };
+
+  /**
+   * Get extra data for a batch of disasters.
+   */
+  this.getExtraDisasterDataBatch = async disasters => {
+    // Only retrieve the recent reports needed to check the staleness rules and
+    // compute the reporting activity.
+    const maxDays = this.staleness.getMaxDays('lastReport', 60);
+    const days = Math.max(maxDays, this.activityWeeks * 7);
+    const since = this.date.clone().substract('date', days).iso();
     const disasterMap = new Map();
     const facets = [];
 
@@ -155,14 +302,15 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
     for (const disaster of disasters) {
       disasterMap.set(String(disaster.id), disaster);
 
-      // Add a facet on the day for the reports posted within the last 2 months
-      // and a facet on the year so we can now if there was ever a report
+      // Add a facet on the day for the reports posted within the period
+      // covered by the staleness rules and a facet on the year so we can now if there was ever a report
       // posted for the disaster.
       facets.push({
         name: disaster.id + '-day',
         field: 'date.created',
         interval: 'day',
         sort: 'value:desc',
+        limit: days + 1,
         filter: {
           conditions: [
             {
@@ -176,7 +324,7 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
             {
               field: 'date.created',
               value: {
-                from: twoMonthAgo,
+                from: since,
               },
             },
           ],
@@ -222,25 +370,17 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
         const facetDay = results[key];
 
         if (disaster) {
+          disaster.activity = this.getReportActivity(facetDay.data);
+
           // Check the number of days since the last published report.
           if (facetDay.data.length > 0) {
-            const days = this.date.diffDays(facetDay.data[0].value);
-            if (days > 60) {
-              disaster.lastReport = 61;
-            }
-            else if (days > 30) {
-              disaster.lastReport = 31;
-            }
-            else if (days > 7) {
-              disaster.lastReport = 8;
-            }
-            else {
-              disaster.lastReport = days;
-            }
+            disaster.lastReport = Number(this.date.diffDays(facetDay.data[0].value));
+            disaster.lastReportDate = facetDay.data[0].value;
           }
-          // Otherwise check if there was at least 1 report in the past.
+          // Otherwise check if there was at least 1 report in the past. The
+          // date of the last report is then unknown.
           else if (results.hasOwnProperty(id + '-year') && results[id + '-year'].data.length > 0) {
-            disaster.lastReport = 61;
+            disaster.lastReport = maxDays + 1;
           }
         }
       }
@@ -248,156 +388,159 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
   };
 
   /**
-   * Sort the disasters by status list position asc and ID desc.
+   * Compute the report counts per period and per week from the daily report
+   * buckets.
    */
-  this.sortDisasters = disasters => {
-    disasters.sort((a, b) => {
-      if (a.pos === b.pos) {
-        if (a.id < b.id) {
-          return 1;
+  this.getReportActivity = buckets => {
+    const today = this.date.clone(this.date.format('YYYY-MM-DD')).valueOf();
+    const counts = this.activityPeriods.map(() => 0);
+    const weeks = new Array(this.activityWeeks).fill(0);
+
+    for (const bucket of buckets) {
+      const days = Math.max(0, Math.floor((today - this.date.clone(bucket.value).valueOf()) / 86400000));
+      this.activityPeriods.forEach((period, index) => {
+        if (days < period) {
+          counts[index] += bucket.count;
         }
-        else if (a.id > b.id) {
-          return -1;
-        }
-        return 0;
-      }
-      else if (a.pos < b.pos) {
-        return -1;
+      });
+
+      // Weeks from the oldest to the current one.
+      const week = Math.floor(days / 7);
+      if (week < weeks.length) {
+        weeks[weeks.length - 1 - week] += bucket.count;
       }
-      return 1;
-    });
+    }
+
+    return {
+      counts: counts,
+      weeks: weeks,
+    };
   };
 
   /**
-   * Retrieve the Trello board data.
+   * Generate a text sparkline of the weekly report counts.
    */
-  this.getBoard = async () => {
-    const data = {
-      labels: 'all',
-      label_fields: 'name,color',
-      labels_limit: 1000,
-      lists: 'open',
-      list_fields: 'name,closed',
-      cards: 'all',
-      card_fields: 'name,labels,idList,desc,closed,pos',
-      card_attachments: 'true',
-      card_attachment_fields: 'url',
-      fields: 'name'
-    };
+  this.getSparkline = weeks => {
+    const max = Math.max(...weeks);
+    const steps = this.sparklineCharacters.length - 1;
+    return weeks.map(count => {
+      return this.sparklineCharacters.charAt(max > 0 ? Math.round(count / max * steps) : 0);
+    }).join('');
+  };
 
-    const result = await this.trelloClient.get('/boards/' + this.config.trello.boardId, data);
-    if (!result) {
-      throw 'Unable to retrieve the Trello board data';
+  /**
+   * Generate the reporting activity section content.
+   *
+   * The activity is not computed when the extra data could not be retrieved,
+   * to avoid reporting an absence of activity (see `getDescription` for the
+   * existing cards).
+   */
+  this.getActivityText = disaster => {
+    if (disaster.extraDataMissing) {
+      return 'Reporting activity unavailable.';
     }
-    this.board = result;
+    const activity = disaster.activity || this.getReportActivity([]);
+    const counts = this.activityPeriods.map((period, index) => {
+      return activity.counts[index] + ' in the last ' + period + ' days';
+    });
+    return [
+      'Reports: ' + counts.join(', '),
+      'Weekly reports (last ' + this.activityWeeks + ' weeks): `' + this.getSparkline(activity.weeks) + '`',
+    ].join('\n\n');
   };
 
   /**
-   * Retrieve, and create if necessary, the board lists.
+   * Get the trend label based on the reports of the last 4 weeks compared
+   * to the 4 weeks before.
    */
-  this.prepareLists = async () => {
-    const boardLists = new Map();
-
-    // Retrieve existing board lists.
-    for (const list of this.board.lists) {
-      boardLists.set(list.name, list);
+  this.getTrendLabels = disaster => {
+    if (!disaster.activity) {
+      return [];
     }
+    const weeks = disaster.activity.weeks;
+    const recent = weeks.slice(-4).reduce((sum, count) => sum + count, 0);
+    const previous = weeks.slice(-8, -4).reduce((sum, count) => sum + count, 0);
 
-    // Set the manager lists, creating non existing ones.
-    for (const item of this.config.lists) {
-      if (boardLists.has(item.name)) {
-        this.lists.set(item.status, boardLists.get(item.name));
-      }
-      else {
-        const list = await this.trelloClient.post('/lists', {
-          name: item.name,
-          pos: item.position,
-          idBoard: this.config.trello.boardId,
-        });
-        if (!list) {
-          throw 'Unable to create list: ' + item.name;
-        }
-        else {
-          this.lists.set(item.status, list);
-          this.logger.info('Created list: ' + item.name);
-        }
-      }
+    if (recent - previous >= this.trendMinimum && recent >= previous * this.trendRatio) {
+      return ['Reporting Increasing'];
+    }
+    if (previous - recent >= this.trendMinimum && recent * this.trendRatio <= previous) {
+      return ['Reporting Declining'];
     }
+    return [];
   };
 
   /**
-   * Retrieve, and create if necessary, the board labels.
+   * Get the URL identifying a disaster card.
    */
-  this.prepareLabels = async () => {
-    const labels = new Map();
-    const boardLabels = new Map();
-
-    // Retrieve existing board labels.
-    for (const label of this.board.labels) {
-      if (label.name !== '') {
-        boardLabels.set(label.name, label);
-      }
-    }
+  this.getKey = disaster => {
+    return disaster.url;
+  };
 
-    // Get the configuration labels.
-    for (const name in this.config.labels) {
-      if (this.config.labels.hasOwnProperty(name)) {
-        labels.set(name, this.config.labels[name]);
-      }
-    }
+  /**
+   * Get the name of a disaster card.
+   */
+  this.getName = disaster => {
+    return disaster.name;
+  };
 
-    // Get the disaster type, country and status from the disasters.
-    // Those are colorless labels.
-    for (const disaster of this.disasters) {
-      for (const item of disaster.type) {
-        labels.set(item.name, '');
-      }
-      for (const item of disaster.country) {
-        labels.set(item.name, '');
-      }
-    }
+  /**
+   * Get the status of a disaster.
+   */
+  this.getStatus = disaster => {
+    return disaster.status;
+  };
 
-    // Set the manager labels, creating non existing ones.
-    for (const [name, color] of labels) {
-      if (boardLabels.has(name)) {
-        this.labels.set(name, boardLabels.get(name));
-      }
-      else {
-        const label = await this.trelloClient.post('/labels', {
-          name: name,
-          color: color,
-          idBoard: this.config.trello.boardId,
-        });
-        if (!label) {
-          throw 'Unable to create label: ' + name;
-        }
-        else {
-          this.labels.set(name, label);
-          this.logger.info('Created label: ' + name);
-        }
-      }
-    }
+  /**
+   * Get the disaster type and country labels.
+   */
+  this.getLabelNames = disaster => {
+    return [
+      ...disaster.type.map(item => item.name),
+      ...disaster.country.map(item => item.name),
+    ];
+  };
+
+  /**
+   * Get the usernames of the members responsible for a disaster.
+   */
+  this.getMembers = disaster => {
+    return [
+      ...this.members.getUsernames('countries', disaster.country.map(item => item.iso3)),
+      ...this.members.getUsernames('types', disaster.type.flatMap(item => [item.code, item.name])),
+    ];
   };
 
   /**
    * Extract the profile and glide sections from the card description.
    */
   this.prepareCard = card => {
-    if (card.desc !== '') {
-      const i1 = card.desc.lastIndexOf(this.profileUpdateHeader);
-      const i2 = card.desc.lastIndexOf(this.profileHeader);
-      const i3 = card.desc.lastIndexOf(this.glideHeader);
-
-      const l1 = this.profileUpdateHeader.length;
-      const l2 = this.profileHeader.length;
-      const l3 = this.glideHeader.length;
-
-      if (i1 !== -1 && i2 !== -1 && i3 !== -1) {
-        card.profileUpdate = card.desc.substring(i1 + l1, i2);
-        card.profile = card.desc.substring(i2 + l2, i3);
-        card.glide = card.desc.substring(i3 + l3);
+    const content = card.parts.content;
+    if (content) {
+      const {sections, missing} = parseSections(content, this.sections);
+      // The date is on the first line of its section.
+      if (sections.has('Last Profile Update')) {
+        card.profileUpdate = sections.get('Last Profile Update').split('\n')[0].trim();
+      }
+      card.profile = sections.get('Profile');
+      card.glide = sections.get('Glide Number');
+      card.activity = sections.get('Reporting Activity');
+
+      // The reporting activity section is regenerated when missing.
+      card.missingSections = missing.filter(heading => heading !== 'Reporting Activity');
+
+      // Only the profile is in the description in custom fields mode.
+      if (this.useCustomFields) {
+        card.missingSections = missing.filter(heading => heading === 'Profile');
+        card.legacy = sections.has('Last Profile Update') || sections.has('Glide Number');
       }
     }
+
+    // Use the custom fields if set, falling back to the description values
+    // for the cards not migrated yet.
+    if (this.useCustomFields && card.fields.profileUpdate) {
+      card.profileUpdate = card.fields.profileUpdate;
+    }
     return card;
   };
 
@@ -405,326 +548,196 @@ function DisasterManager(config, logger, trelloClient, rwapiClient, date) {
    * Get the labels for a disaster.
    */
   this.getDisasterLabels = disaster => {
-    const labels = new Map();
-
-    // Disaster types and countries.
-    for (const item of disaster.type) {
-      const label = this.labels.get(item.name);
-      if (label) {
-        labels.set(item.name, label.id);
-      }
-    }
-    for (const item of disaster.country) {
-      const label = this.labels.get(item.name);
-      if (label) {
-        labels.set(item.name, label.id);
-      }
-    }
+    const labels = this.getLabelNames(disaster);
 
     // Last posted report.
-    if (disaster.lastReport > 60) {
-      const label = this.labels.get(this.lastReportOlderThan2Months);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (disaster.lastReport > 30) {
-      const label = this.labels.get(this.lastReportOlderThan1Month);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (disaster.lastReport > 7) {
-      const label = this.labels.get(this.lastReportOlderThan1Week);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
+    labels.push(...this.staleness.getLabels('lastReport', disaster.lastReport));
+
+    // Reporting trend.
+    labels.push(...this.getTrendLabels(disaster));
+
+    // GLIDE number consistency.
+    labels.push(...this.getGlideLabels(disaster));
 
     return labels;
   };
 
   /**
-   * Get the label for the profile last update.
+   * Get the GLIDE number labels for the disasters that should have one.
    */
-  this.getProfileUpdateLabel = lastUpdate => {
-    const labels = new Map();
-
-    // Get the number of days since the last update.
-    const days = this.date.diffDays(lastUpdate);
-
-    // Last profile update.
-    if (days > 21) {
-      const label = this.labels.get(this.profileUpdateOlderThan3Weeks);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
+  this.getGlideLabels = disaster => {
+    if (!this.glideStatuses.includes(disaster.status)) {
+      return [];
     }
-    else if (days > 14) {
-      const label = this.labels.get(this.profileUpdateOlderThan2Weeks);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
+    if (glide.splitGlide(disaster.glide).length === 0) {
+      return ['GLIDE Missing'];
     }
-    else if (days > 7) {
-      const label = this.labels.get(this.profileUpdateOlderThan1Week);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
+    if (disaster.glideErrors.length > 0) {
+      return ['GLIDE Mismatch'];
     }
+    return [];
+  };
 
-    return labels;
+  /**
+   * Generate the GLIDE number section content, linking the valid numbers to
+   * their GLIDE record.
+   */
+  this.getGlideText = disaster => {
+    return glide.splitGlide(disaster.glide).map(number => {
+      const parsed = glide.parseGlide(number);
+      return parsed ? '[' + parsed.number + '](' + this.glideUrl + parsed.number + ')' : number;
+    }).join(', ');
   };
 
   /**
-   * Generate a card's description.
+   * Get the label for the profile last update.
    */
-  this.generateCardDescription = (disaster, updateDate) => {
-    return [
-      this.profileUpdateHeader,
-      updateDate || this.currentDate,
-      this.profileHeader,
-      disaster.profile.overview || '',
-      this.glideHeader,
-      disaster.glide,
-    ].join('');
+  this.getProfileUpdateLabel = lastUpdate => {
+    return this.staleness.getLabels('profileUpdate', this.date.diffDays(lastUpdate));
   };
 
   /**
-   * Update a card's labels.
+   * Get the colors of the staleness, trend and GLIDE labels.
    */
-  this.updateCardLabels = async (card, disaster) => {
-    let changed = false;
+  this.getLabelColors = () => {
+    return new Map([...this.staleness.getLabelColors(), ...this.trendLabels, ...this.glideLabels]);
+  };
 
-    // Disaster labels and warning label regarding last profile update.
-    const labels = new Map([
-      ...this.getDisasterLabels(disaster),
-      ...this.getProfileUpdateLabel(card.profileUpdate),
+  /**
+   * Get the report labels of a card, kept when the extra disaster data could
+   * not be retrieved.
+   */
+  this.getCardReportLabels = card => {
+    const names = new Set([
+      ...this.staleness.getRules('lastReport').map(rule => rule.label),
+      ...this.trendLabels.keys(),
     ]);
-
-    // Remove old labels.
-    for (const label of card.labels) {
-      if (!labels.has(label.name)) {
-        try {
-          await this.trelloClient.delete('/cards/' + card.id + '/idLabels/' + label.id);
-          this.logger.debug('Removed old label ' + label.name + ' for card ' + card.name);
-          changed = true;
-        }
-        catch (exception) {
-          this.logger.error('Unable to remove old label ' + label.name + ' for card ' + card.name);
-        }
-      }
-      else {
-        labels.delete(label.name);
-      }
-    }
-
-    // Add new labels.
-    for (const [name, id] of labels) {
-      try {
-        await this.trelloClient.post('/cards/' + card.id + '/idLabels', {
-          value: id,
-        });
-        this.logger.debug('Added new label ' + name + ' for card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to add label ' + name + ' for card ' + card.name + ': ' + exception);
-      }
-    }
-
-    return changed;
+    return card.labels.map(label => label.name).filter(name => names.has(name));
   };
 
   /**
-   * Update a Trello card.
+   * Get the labels for a disaster card.
    */
-  this.updateCard = async (position, card, disaster) => {
-    const data = new Map();
+  this.getLabels = (disaster, card) => {
+    const labels = this.getDisasterLabels(disaster);
 
-    // Update list in which the card should be if the disaster status changed.
-    if (card.idList !== this.lists.get(disaster.status).id) {
-      this.logger.debug('Updated list ID of card ' + card.name);
-      data.set('idList', this.lists.get(disaster.status).id);
+    if (card && disaster.extraDataMissing) {
+      labels.push(...this.getCardReportLabels(card));
     }
 
-    // Update the card position if necessary.
-    if (Number(parseFloat(card.pos).toFixed()) !== position) {
-      this.logger.debug('Updated position of card ' + card.name);
-      data.set('pos', position);
+    // Warning label regarding last profile update.
+    if (card) {
+      labels.push(...this.getProfileUpdateLabel(card.profileUpdate));
     }
 
-    // Unarchive if necessary.
-    if (card.closed) {
-      this.logger.debug('Unarchived card ' + card.name);
-      data.set('closed', 'false');
-    }
-
-    // Update the card name if necessary.
-    if (card.name !== disaster.name) {
-      this.logger.debug('Updated name of card ' + card.name);
-      data.set('name', disaster.name);
-    }
-
-    // If the disaster profile changed, set the new update date.
-    if (disaster.profile.overview !== card.profile) {
-      card.profileUpdate = this.currentDate;
-    }
-
-    // Check the description and update the labels.
-    if (disaster.profile.overview !== card.profile || disaster.glide !== card.glide) {
-      this.logger.debug('Updated description of card ' + card.name);
-      data.set('desc', this.generateCardDescription(disaster, card.profileUpdate));
-    }
+    return labels;
+  };
 
-    // Update the card labels.
-    let changed = await this.updateCardLabels(card, disaster);
-    if (changed) {
-      this.logger.info('Updated labels for card ' + card.name);
+  /**
+   * Generate a card's description.
+   */
+  this.generateCardDescription = (disaster, updateDate, activity) => {
+    if (this.useCustomFields) {
+      return [
+        this.profileHeader.trimStart(),
+        disaster.profile.overview || '',
+        this.activityHeader,
+        typeof activity === 'string' ? activity : this.getActivityText(disaster),
+      ].join('');
     }
 
-    // Update the card if necessary.
-    if (data.size > 0) {
-      try {
-        await this.trelloClient.put('/cards/' + card.id, Object.fromEntries(data));
-        this.logger.info('Updated card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to update card ' + card.name + ': ' + exception);
-      }
-    }
-    else {
-      this.logger.info('No changes for card ' + card.name);
-    }
-    return changed;
+    return [
+      this.profileUpdateHeader,
+      updateDate || this.currentDate,
+      this.profileHeader,
+      disaster.profile.overview || '',
+      this.glideHeader,
+      this.getGlideText(disaster),
+      this.activityHeader,
+      typeof activity === 'string' ? activity : this.getActivityText(disaster),
+    ].join('');
   };
 
   /**
-   * Create a Trello card.
+   * Get the custom field values of a disaster card.
    */
-  this.createCard = async (position, disaster) => {
-    const data = {
-      idList: this.lists.get(disaster.status).id,
-      urlSource: '',
-      name: disaster.name,
-      desc: this.generateCardDescription(disaster),
-      pos: position,
-      idLabels: Array.from(this.getDisasterLabels(disaster).values()).join(','),
+  this.getCustomFields = (disaster, card) => {
+    return {
+      profileUpdate: card ? card.profileUpdate : this.date.iso(),
+      glide: disaster.glide || null,
     };
+  };
 
-    // Create the card.
-    let card;
-    try {
-      card = await this.trelloClient.post('/cards', data);
-      this.logger.info('Created card ' + disaster.name);
-    }
-    catch (exception) {
-      this.logger.error('Unable to create card ' + disaster.name + ': ' + exception);
-      return;
-    }
-
-    // Add the disaster URL as attachment.
-    try {
-      await this.trelloClient.post('/cards/' + card.id + '/attachments', {
-        url: disaster.url,
-      });
-      this.logger.debug('Added url ' + disaster.url + ' to card ' + disaster.name);
-    }
-    catch (exception) {
-      this.logger.error('Unable to set the URL ' + disaster.url + ' to card ' + disaster.name);
+  /**
+   * Get the comment with the diff of the profile if it changed.
+   */
+  this.getChangeComment = (disaster, card) => {
+    const profile = (disaster.profile.overview || '').trim();
+    if (this.config.diffComments === false || typeof card.profile !== 'string' || card.profile === profile) {
+      return null;
     }
+    return diff.diffComment('Profile updated on ' + this.date.format('D MMM YYYY hh:mm:ss UTC') + ':', card.profile, profile);
   };
 
   /**
-   * Archive a Trello card.
+   * Get the due date of a disaster card based on the configured date field.
    */
-  this.archiveCard = async (card) => {
-    if (card.closed === false) {
-      try {
-        await this.trelloClient.put('/cards/' + card.id, {
-          closed: 'true',
-        });
-        this.logger.info('Archived card ' + card.name);
-      }
-      catch (exception) {
-        this.logger.error('Unable to archive card ' + card.name + ': ' + exception);
-      }
+  this.getDueDate = (disaster, card) => {
+    switch (this.config.dueDate) {
+      case 'profileUpdate':
+        return this.staleness.getDueDate('profileUpdate', card ? card.profileUpdate : this.date.iso());
+
+      case 'lastReport':
+        // Leave the due date untouched when the date of the last report is not
+        // known (no recent report or extra data missing).
+        if (disaster.lastReportDate) {
+          return this.staleness.getDueDate('lastReport', disaster.lastReportDate);
+        }
+        break;
     }
+    return null;
   };
 
   /**
-   * Update the Trello board.
+   * Get the description of a disaster card if it needs to be updated.
    */
-  this.updateBoard = async () => {
-    const cards = new Map();
-
-    // Get the list of existing disaster cards.
-    for (const card of this.board.cards) {
-      if (card.attachments) {
-        for (const attachment of card.attachments) {
-          if (this.urlPattern.test(attachment.url)) {
-            cards.set(attachment.url, this.prepareCard(card));
-            break;
-          }
-        }
-      }
+  this.getDescription = (disaster, card) => {
+    if (!card) {
+      return this.generateCardDescription(disaster);
     }
 
-    // Update or create the disaster cards.
-    let updated = 0;
-    for (const disaster of this.disasters) {
-      const position = this.maxIndex - disaster.id;
-      if (cards.has(disaster.url)) {
-        if (await this.updateCard(position, cards.get(disaster.url), disaster)) {
-          updated++;
-        }
-        cards.delete(disaster.url);
-      }
-      else {
-        await this.createCard(position, disaster);
-        updated++;
-      }
+    const profile = (disaster.profile.overview || '').trim();
+    const glideText = this.getGlideText(disaster);
+
+    // Keep the current activity if the extra data could not be retrieved.
+    let activity = this.getActivityText(disaster);
+    if (disaster.extraDataMissing && typeof card.activity === 'string') {
+      activity = card.activity;
     }
-    this.logger.info('Updated/created ' + updated + ' card(s)');
 
-    // Archive the remaining disaster cards as they were not in the list of
-    // disasters to monitor.
-    if (cards.size > 0) {
-      // Map of the status lists keyed by list ID.
-      const lists = new Map();
-      for (const list of this.lists.values()) {
-        lists.set(list.id, list.name);
-      }
+    // If the disaster profile changed, set the new update date. If the profile
+    // section could not be found, keep the stored date if valid.
+    if (typeof card.profile === 'string' ? profile !== card.profile : !this.date.isValidDate(card.profileUpdate)) {
+      card.profileUpdate = this.useCustomFields ? this.date.iso() : this.currentDate;
+    }
 
-      // Only archive cards that are in the status lists.
-      let archived = 0;
-      for (const card of cards.values()) {
-        if (lists.has(card.idList)) {
-          await this.archiveCard(card);
-          archived++;
-        }
-      }
-      this.logger.info('Archived ' + archived + ' card(s)');
+    if (this.useCustomFields) {
+      return profile !== card.profile || activity !== card.activity || card.legacy ? this.generateCardDescription(disaster, null, activity) : null;
+    }
+    if (profile !== card.profile || glideText !== card.glide || activity !== card.activity) {
+      return this.generateCardDescription(disaster, card.profileUpdate, activity);
     }
+    return null;
   };
 }
 
-/**
- * Execute logic.
- */
-const config = require(process.env.CONFIG);
-
-const Logger = require('./libs/logger.js').Logger;
-const logger = new Logger(config.debug);
-
-const TrelloClient = require('./libs/trello.js').TrelloClient;
-const trelloClient = new TrelloClient(config.trello, logger);
+exports.DisasterManager = DisasterManager;
+exports.configSchema = configSchema;
+exports.defaultStaleness = defaultStaleness;
 
-const RWApiClient = require('./libs/rwapi.js').RWApiClient;
-const rwapiClient = new RWApiClient(config.rwapi, logger);
-
-const DateWrapper = require('./libs/date.js').DateWrapper;
-
-const manager = new DisasterManager(config, logger, trelloClient, rwapiClient, new DateWrapper());
-manager.process();
+// Direct execution (see cli.js).
+if (require.main === module) {
+  require('./cli.js').main(['disasters', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
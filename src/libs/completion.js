@@ -0,0 +1,181 @@
+/**
+ * Completion rules.
+ *
+ * Determine the state of a card (complete, in progress or to do) from its
+ * list, labels and due date, with rules defined per board:
+ *
+ * ```
+ * "completion": {
+ *   "default": {"lists": ["Done"]},
+ *   "boards": {
+ *     "Publications": {
+ *       "lists": ["Published", "Archived"],
+ *       "patterns": ["^closed"],
+ *       "dueComplete": true,
+ *       "labels": ["Completed"],
+ *       "inProgress": {"lists": ["Editing", "Review"]}
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * A rule set has the following properties, a card matching any of them being
+ * complete:
+ *
+ * - lists: list names, compared case insensitively.
+ * - patterns: regular expressions matched case insensitively against the
+ *   list name.
+ * - dueComplete: whether cards with their due date marked as complete are
+ *   complete.
+ * - labels: label names marking the cards as complete.
+ * - inProgress: optional rule set (without `inProgress`) for the cards in
+ *   progress.
+ *
+ * The boards are keyed by ID or name. The boards without rules use the
+ * `default` rules, which mark the cards in a "Done" list as complete when not
+ * set.
+ */
+function CompletionRules(config = {}) {
+  this.defaultRules = compileRules(config.default || {lists: ['Done']});
+
+  // Rules keyed by board ID or name.
+  this.boards = new Map();
+  for (const key in config.boards) {
+    if (config.boards.hasOwnProperty(key)) {
+      this.boards.set(key, compileRules(config.boards[key]));
+    }
+  }
+
+  /**
+   * Get the rules for a board.
+   */
+  this.getBoardRules = board => {
+    return this.boards.get(board.id) || this.boards.get(board.name) || this.defaultRules;
+  };
+
+  /**
+   * Get the state of a card: `complete`, `inProgress` or `todo`.
+   */
+  this.getState = (rules, card, list) => {
+    if (matchRules(rules, card, list)) {
+      return 'complete';
+    }
+    if (rules.inProgress && matchRules(rules.inProgress, card, list)) {
+      return 'inProgress';
+    }
+    return 'todo';
+  };
+}
+
+/**
+ * Compile a case insensitive pattern. Returns null if it's not valid.
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  }
+  catch (exception) {
+    return null;
+  }
+}
+
+/**
+ * Prepare a rule set for the matching. The patterns are validated with the
+ * configuration (see `validateCompletion`).
+ */
+function compileRules(rules) {
+  const compiled = {
+    lists: new Set((rules.lists || []).map(name => name.toLowerCase())),
+    patterns: (rules.patterns || []).map(compilePattern).filter(pattern => pattern !== null),
+    dueComplete: rules.dueComplete === true,
+    labels: new Set(rules.labels || []),
+    inProgress: null,
+  };
+  if (rules.inProgress) {
+    compiled.inProgress = compileRules(rules.inProgress);
+  }
+  return compiled;
+}
+
+/**
+ * Check if a card in the given list matches a rule set.
+ */
+function matchRules(rules, card, list) {
+  const name = list || '';
+  if (rules.lists.has(name.toLowerCase())) {
+    return true;
+  }
+  if (rules.patterns.some(pattern => pattern.test(name))) {
+    return true;
+  }
+  if (rules.dueComplete && card.dueComplete === true) {
+    return true;
+  }
+  return (card.labels || []).some(label => rules.labels.has(label.name));
+}
+
+/**
+ * Validate the regular expressions of the completion rules configuration.
+ */
+function validateCompletion(config = {}, path = 'config.completion') {
+  const errors = [];
+  const check = (rules, path) => {
+    (rules.patterns || []).forEach((pattern, index) => {
+      if (compilePattern(pattern) === null) {
+        errors.push(path + '.patterns[' + index + ']: invalid regular expression ' + pattern);
+      }
+    });
+    if (rules.inProgress) {
+      check(rules.inProgress, path + '.inProgress');
+    }
+  };
+
+  if (config.default) {
+    check(config.default, path + '.default');
+  }
+  for (const key in config.boards) {
+    if (config.boards.hasOwnProperty(key)) {
+      check(config.boards[key], path + '.boards.' + key);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get the schema of the completion rules configuration.
+ */
+function completionSchema() {
+  const properties = {
+    lists: {type: 'array', items: {type: 'string'}, description: 'names of the lists of the complete cards'},
+    patterns: {type: 'array', items: {type: 'string'}, description: 'regular expressions matching the names of the lists of the complete cards'},
+    dueComplete: {type: 'boolean', description: 'cards with a complete due date are complete'},
+    labels: {type: 'array', items: {type: 'string'}, description: 'names of the labels of the complete cards'},
+  };
+  const rules = {
+    type: 'object',
+    properties: Object.assign({}, properties, {
+      inProgress: {
+        type: 'object',
+        description: 'rules for the cards in progress',
+        properties: properties,
+      },
+    }),
+  };
+
+  return {
+    type: 'object',
+    description: 'rules to determine if the actions are complete',
+    properties: {
+      default: rules,
+      boards: {
+        type: 'object',
+        description: 'rules keyed by board ID or name',
+        values: rules,
+      },
+    },
+  };
+}
+
+exports.CompletionRules = CompletionRules;
+exports.completionSchema = completionSchema;
+exports.validateCompletion = validateCompletion;
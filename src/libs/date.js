@@ -242,6 +242,12 @@ function DateWrapper(date, options = {}) {
     return isNaN(this.dateObject);
   };
 
+  // Check if a date string (ex: extracted from a card description) is a
+  // valid date.
+  this.isValidDate = date => {
+    return typeof date === 'string' && date !== '' && !this.clone(date).invalid();
+  };
+
   // Initialize the date to given one or to "now".
   this.create(date);
 }
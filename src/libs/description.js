@@ -0,0 +1,152 @@
+/**
+ * Managed block of a card description.
+ *
+ * The part of the description maintained by the connectors is wrapped between
+ * start and end markers (markdown comments, not displayed by Trello) so that
+ * the text added by the editors before and after it is preserved:
+ *
+ * ```
+ * Editor notes.
+ *
+ * [//]: # (rwint-trello:start)
+ *
+ * # Last Profile Update
+ * ...
+ *
+ * [//]: # (rwint-trello:end)
+ * ```
+ *
+ * The markers are link reference definitions, which cannot interrupt a
+ * paragraph, so they are surrounded by blank lines to stay hidden. The blocks
+ * generated without the blank lines are still parsed.
+ *
+ * For the cards created before the markers were introduced, the managed block
+ * starts at the given heading (ex: `Last Profile Update`) and extends to the
+ * end of the description.
+ */
+function ManagedDescription(header = null) {
+  this.header = header;
+
+  // Constants.
+  this.startMarker = '[//]: # (rwint-trello:start)';
+  this.endMarker = '[//]: # (rwint-trello:end)';
+
+  /**
+   * Split a description into the text before the managed block, the content
+   * of the managed block (null if there is none) and the text after it.
+   */
+  this.parse = description => {
+    const desc = description || '';
+
+    const start = desc.indexOf(this.startMarker);
+    const end = desc.indexOf(this.endMarker, start);
+    if (start !== -1 && end !== -1) {
+      return {
+        before: desc.substring(0, start),
+        content: desc.substring(start + this.startMarker.length, end).replace(/^\n\n?/, '').replace(/\n\n?$/, ''),
+        after: desc.substring(end + this.endMarker.length),
+      };
+    }
+
+    // Cards without markers.
+    const index = this.header !== null ? findHeading(desc, this.header) : -1;
+    if (index !== -1) {
+      return {
+        before: desc.substring(0, index),
+        content: desc.substring(index),
+        after: '',
+      };
+    }
+
+    return {
+      before: desc,
+      content: null,
+      after: '',
+    };
+  };
+
+  /**
+   * Generate a description with the given managed content, keeping the text
+   * before and after the managed block.
+   */
+  this.build = (content, parts = null) => {
+    let before = parts ? parts.before : '';
+    let after = parts ? parts.after : '';
+
+    // Separate the editor text from the managed block with a blank line.
+    if (before.trim() !== '') {
+      before = before.replace(/\n*$/, '\n\n');
+    }
+    if (after.trim() !== '') {
+      after = after.replace(/^\n*/, '\n\n');
+    }
+
+    return before + this.startMarker + '\n\n' + content + '\n\n' + this.endMarker + after;
+  };
+}
+
+/**
+ * Normalize a heading for comparison.
+ */
+function normalizeHeading(heading) {
+  return heading.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Get the position of the last line with the given heading in a markdown text
+ * or -1 if not found.
+ */
+function findHeading(content, heading) {
+  const expected = normalizeHeading(heading);
+  let index = -1;
+  for (const match of content.matchAll(/^ {0,3}#{1,6}[ \t]*(.*?)[ \t#]*$/gm)) {
+    if (normalizeHeading(match[1]) === expected) {
+      index = match.index;
+    }
+  }
+  return index;
+}
+
+/**
+ * Extract the sections with the given headings from a markdown text.
+ *
+ * The headings are matched regardless of their level, case and surrounding
+ * whitespace. Other headings are considered part of the section text. The
+ * text of each section is trimmed.
+ *
+ * Returns the map of the section texts keyed by heading and the list of the
+ * headings that were not found.
+ */
+function parseSections(content, headings) {
+  const expected = new Map(headings.map(heading => [normalizeHeading(heading), heading]));
+  const sections = new Map();
+
+  let current = null;
+  let lines = [];
+  for (const line of (content || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const match = /^ {0,3}#{1,6}[ \t]*(.*?)[ \t#]*$/.exec(line);
+    const heading = match ? expected.get(normalizeHeading(match[1])) : null;
+
+    if (heading && heading !== current && !sections.has(heading)) {
+      if (current !== null) {
+        sections.set(current, lines.join('\n').trim());
+      }
+      current = heading;
+      lines = [];
+    }
+    else if (current !== null) {
+      lines.push(line);
+    }
+  }
+  if (current !== null) {
+    sections.set(current, lines.join('\n').trim());
+  }
+
+  return {
+    sections: sections,
+    missing: headings.filter(heading => !sections.has(heading)),
+  };
+}
+
+exports.ManagedDescription = ManagedDescription;
+exports.parseSections = parseSections;
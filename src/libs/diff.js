@@ -0,0 +1,64 @@
+/**
+ * Line level diff of two texts.
+ *
+ * Returns the list of lines of the texts, prefixed with `-` for the removed
+ * lines, `+` for the added lines and a space for the unchanged lines, based on
+ * their longest common subsequence.
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Length of the longest common subsequence of the ends of the texts.
+  const lengths = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push('  ' + a[i]);
+      i++;
+      j++;
+    }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push('- ' + a[i]);
+      i++;
+    }
+    else {
+      lines.push('+ ' + b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) {
+    lines.push('- ' + a[i]);
+    i++;
+  }
+  while (j < b.length) {
+    lines.push('+ ' + b[j]);
+    j++;
+  }
+  return lines;
+}
+
+/**
+ * Generate a markdown comment with the diff of a text.
+ *
+ * The diff is truncated to `maxLength` characters as Trello limits the length
+ * of the comments.
+ */
+function diffComment(title, before, after, maxLength = 10000) {
+  let diff = diffLines(before, after).join('\n');
+  if (diff.length > maxLength) {
+    diff = diff.substring(0, maxLength) + '\n[...]';
+  }
+  return title + '\n\n```diff\n' + diff + '\n```';
+}
+
+exports.diffLines = diffLines;
+exports.diffComment = diffComment;
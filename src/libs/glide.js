@@ -0,0 +1,38 @@
+/**
+ * GLIDE number helpers.
+ *
+ * A GLIDE number (https://glidenumber.net) identifies a disaster with the
+ * hazard code, the year, a sequence number and the ISO3 code of the country
+ * (ex: `FL-2026-000021-AAA`).
+ */
+
+// GLIDE number pattern.
+const glidePattern = /^([A-Z]{2})-(\d{4})-(\d{6})-([A-Z]{3})$/;
+
+/**
+ * Parse a GLIDE number. Returns null if the number is not valid.
+ */
+function parseGlide(number) {
+  const match = glidePattern.exec(number.trim().toUpperCase());
+  if (!match) {
+    return null;
+  }
+  return {
+    number: match[0],
+    hazard: match[1],
+    year: Number(match[2]),
+    sequence: match[3],
+    iso3: match[4],
+  };
+}
+
+/**
+ * Split a glide field, which can contain several GLIDE numbers separated by
+ * spaces, commas or semicolons, into a list of numbers.
+ */
+function splitGlide(glide) {
+  return (glide || '').split(/[\s,;]+/).filter(number => number !== '');
+}
+
+exports.parseGlide = parseGlide;
+exports.splitGlide = splitGlide;
@@ -0,0 +1,83 @@
+const sleep = require('./retry.js').sleep;
+
+/**
+ * Request rate and concurrency limiter.
+ *
+ * Ensures there are at most `concurrency` requests in flight and at most
+ * `maxRequests` requests started within any `interval` milliseconds window.
+ */
+function RateLimiter(config = {}) {
+  // Set the options with defaults.
+  this.maxRequests = config.maxRequests || 100;
+  this.interval = config.interval || 10000;
+  this.concurrency = config.concurrency || 10;
+
+  // Start timestamps of the requests within the current window.
+  this.timestamps = [];
+
+  // Number of requests in flight and callbacks of the requests waiting for
+  // a free slot.
+  this.active = 0;
+  this.waiting = [];
+
+  // Timestamp until which no request should be started.
+  this.pausedUntil = 0;
+
+  /**
+   * Execute a task when the limits allow it.
+   */
+  this.schedule = async task => {
+    await this.acquire();
+    try {
+      return await task();
+    }
+    finally {
+      this.release();
+    }
+  };
+
+  /**
+   * Wait for a free slot.
+   */
+  this.acquire = async () => {
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+      return this.acquire();
+    }
+
+    const now = Date.now();
+    this.timestamps = this.timestamps.filter(timestamp => timestamp > now - this.interval);
+
+    let delay = this.pausedUntil - now;
+    if (this.timestamps.length >= this.maxRequests) {
+      delay = Math.max(delay, this.timestamps[0] + this.interval - now);
+    }
+    if (delay > 0) {
+      await sleep(delay);
+      return this.acquire();
+    }
+
+    this.active++;
+    this.timestamps.push(now);
+  };
+
+  /**
+   * Free a slot and wake up the next waiting request.
+   */
+  this.release = () => {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    }
+  };
+
+  /**
+   * Prevent new requests from starting for the given number of milliseconds.
+   */
+  this.pause = delay => {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+  };
+}
+
+exports.RateLimiter = RateLimiter;
@@ -0,0 +1,79 @@
+/**
+ * Member mapping.
+ *
+ * Maps entity properties (ex: country ISO3 code, disaster type, topic theme)
+ * to the usernames of the Trello members responsible for the cards:
+ *
+ * ```
+ * "members": {
+ *   "countries": {"AFG": ["editor1"]},
+ *   "types": {"FL": ["editor2", "editor3"]},
+ *   "strict": false
+ * }
+ * ```
+ *
+ * The keys are compared case insensitively. When `strict` is true, the
+ * members not in the mapping are removed from the cards.
+ */
+function MemberMapping(config = {}) {
+  this.strict = config.strict === true;
+
+  // Usernames keyed by lower case key, for each mapping.
+  this.mappings = new Map();
+  for (const name in config) {
+    if (config.hasOwnProperty(name) && name !== 'strict') {
+      const mapping = new Map();
+      for (const key in config[name]) {
+        if (config[name].hasOwnProperty(key)) {
+          mapping.set(key.toLowerCase(), config[name][key]);
+        }
+      }
+      this.mappings.set(name, mapping);
+    }
+  }
+
+  /**
+   * Get the usernames mapped to the given keys.
+   */
+  this.getUsernames = (name, keys) => {
+    const mapping = this.mappings.get(name);
+    const usernames = new Set();
+    if (mapping) {
+      for (const key of keys) {
+        for (const username of mapping.get(String(key).toLowerCase()) || []) {
+          usernames.add(username);
+        }
+      }
+    }
+    return Array.from(usernames);
+  };
+}
+
+/**
+ * Get the schema of the member mapping configuration.
+ *
+ * `mappings` contains the description of the keys of each mapping keyed by
+ * mapping name.
+ */
+function membersSchema(mappings) {
+  const properties = {
+    strict: {type: 'boolean', description: 'remove the members not in the mapping from the cards'},
+  };
+  for (const name in mappings) {
+    if (mappings.hasOwnProperty(name)) {
+      properties[name] = {
+        type: 'object',
+        description: 'Trello usernames keyed by ' + mappings[name],
+        values: {type: 'array', items: {type: 'string'}},
+      };
+    }
+  }
+  return {
+    type: 'object',
+    description: 'Trello members to assign to the cards',
+    properties: properties,
+  };
+}
+
+exports.MemberMapping = MemberMapping;
+exports.membersSchema = membersSchema;
@@ -0,0 +1,131 @@
+/**
+ * Wait for the given number of milliseconds.
+ */
+function sleep(delay) {
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Retry policy with exponential backoff and jitter.
+ *
+ * Requests failing with a network error or a retryable HTTP status code (429
+ * and 5xx by default) are retried up to `maxRetries` times. The delay between
+ * attempts honors the `Retry-After` header when present.
+ *
+ * The non idempotent requests (ex: POST creating a card) are only retried when
+ * they were rejected by the rate limit (429) or when the connection failed
+ * before the request was sent, as retrying a request that was processed
+ * would duplicate its effect.
+ */
+function RetryPolicy(config = {}, logger) {
+  this.logger = logger;
+
+  // Set the options with defaults.
+  this.maxRetries = typeof config.maxRetries === 'number' ? config.maxRetries : 5;
+  this.minDelay = config.minDelay || 1000;
+  this.maxDelay = config.maxDelay || 60000;
+  this.statuses = config.statuses || [429, 500, 502, 503, 504];
+
+  // Codes of the connection errors raised before the request is sent.
+  this.connectionErrors = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+  /**
+   * Execute a request, retrying it if necessary.
+   *
+   * The request is a function returning a promise resolving to a fetch
+   * response. The last response is returned if all the attempts failed and
+   * the last exception is re-thrown if there was no response.
+   *
+   * `idempotent` is false for the requests that must not be sent twice.
+   */
+  this.execute = async (request, description, idempotent = true) => {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let reason = '';
+
+      try {
+        response = await request();
+        if (response.ok || !this.isRetryableStatus(response.status, idempotent)) {
+          return response;
+        }
+        reason = response.status + ' ' + response.statusText;
+      }
+      catch (exception) {
+        if (attempt >= this.maxRetries || (!idempotent && !this.isConnectionError(exception))) {
+          throw exception;
+        }
+        reason = String(exception);
+      }
+
+      if (attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const delay = this.getDelay(attempt, response);
+      this.logger.info('Retrying ' + description + ' in ' + delay + 'ms (' + reason + ')');
+      await this.sleep(delay);
+    }
+  };
+
+  /**
+   * Check if a request failing with the given HTTP status can be retried.
+   */
+  this.isRetryableStatus = (status, idempotent) => {
+    return this.statuses.includes(status) && (idempotent || status === 429);
+  };
+
+  /**
+   * Check if an exception is a connection error raised before the request
+   * was sent (ex: connection refused). Fetch wraps them in its `cause`.
+   */
+  this.isConnectionError = exception => {
+    const error = exception && exception.cause ? exception.cause : exception;
+    return Boolean(error) && this.connectionErrors.includes(error.code);
+  };
+
+  /**
+   * Get the delay in milliseconds before the next attempt.
+   */
+  this.getDelay = (attempt, response) => {
+    const retryAfter = this.getRetryAfter(response);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    // Exponential backoff with jitter between half and the full delay.
+    const half = Math.min(this.minDelay * Math.pow(2, attempt), this.maxDelay) / 2;
+    return Math.round(half + (Math.random() * half));
+  };
+
+  /**
+   * Get the delay in milliseconds from the Retry-After header if any.
+   */
+  this.getRetryAfter = response => {
+    if (!response || !response.headers) {
+      return null;
+    }
+
+    const value = response.headers.get('retry-after');
+    if (!value) {
+      return null;
+    }
+
+    // The header is either a number of seconds or an HTTP date.
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+      return null;
+    }
+    return Math.max(date - Date.now(), 0);
+  };
+
+  /**
+   * Wait before the next attempt.
+   */
+  this.sleep = sleep;
+}
+
+exports.RetryPolicy = RetryPolicy;
+exports.sleep = sleep;
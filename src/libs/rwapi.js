@@ -1,4 +1,5 @@
 const URLSearchParams = require('node:url').URLSearchParams;
+const RetryPolicy = require('./retry.js').RetryPolicy;
 
 /**
  * Simple wrapper around the ReliefWeb API.
@@ -7,6 +8,15 @@ function RWApiClient(config, logger) {
   this.config = config;
   this.logger = logger;
 
+  // Retry failed requests.
+  this.retryPolicy = new RetryPolicy(config.retry, logger);
+
+  // Maximum number of items the API returns per request.
+  this.pageSize = config.pageSize || 1000;
+
+  // Number of failed requests.
+  this.errors = 0;
+
   /**
    * Perform a request against the ReliefWeb API.
    *
@@ -20,13 +30,22 @@ function RWApiClient(config, logger) {
       timestamp: new Date().getTime(),
     });
 
-    const response = await fetch(this.config.url + endpoint + '?' + params.toString(), {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(data),
-    });
+    const url = this.config.url + endpoint + '?' + params.toString();
+
+    let response;
+    try {
+      response = await this.retryPolicy.execute(() => fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(data),
+      }), 'request on ' + endpoint);
+    }
+    catch (exception) {
+      this.errors++;
+      throw 'ReliefWeb API error for request on ' + endpoint + ': ' + exception;
+    }
 
     if (response.ok) {
       const data = await response.json();
@@ -42,10 +61,45 @@ function RWApiClient(config, logger) {
       catch (exception) {
         // Nothing to do.
       }
+      this.errors++;
       throw 'ReliefWeb API error for request on ' + endpoint + ': ' + response.status + ' ' + response.statusText;
     }
   };
 
+  /**
+   * Retrieve all the items matching a query.
+   *
+   * The query is paginated following the offset until the total count of
+   * items is reached. The returned data is the API response of the last page
+   * with the data of all the pages.
+   */
+  this.fetchAll = async (endpoint, data) => {
+    const items = [];
+    let offset = 0;
+    let result;
+
+    do {
+      result = await this.fetch(endpoint, Object.assign({}, data, {
+        limit: this.pageSize,
+        offset: offset,
+      }));
+      if (!result || !result.data) {
+        return result;
+      }
+
+      items.push(...result.data);
+      offset += result.data.length;
+
+      if (offset < result.totalCount) {
+        this.logger.debug('Retrieved ' + offset + ' of ' + result.totalCount + ' items from ' + endpoint);
+      }
+    } while (result.data.length > 0 && offset < result.totalCount);
+
+    return Object.assign({}, result, {
+      count: items.length,
+      data: items,
+    });
+  };
 }
 
 exports.RWApiClient = RWApiClient;
@@ -0,0 +1,255 @@
+/**
+ * Minimal configuration schema validator.
+ *
+ * A schema is a plain object describing the expected value:
+ *
+ * - `type`: one of `string`, `number`, `boolean`, `array` or `object`.
+ * - `required`: whether the value must be present (defaults to false).
+ * - `properties`: for objects, the schemas of the known keys. Any other key
+ *   is reported as unknown.
+ * - `values`: for objects with arbitrary keys (ex: label names), the schema
+ *   of the values.
+ * - `items`: for arrays, the schema of the items.
+ * - `enum`: list of the allowed values.
+ * - `description`: optional help text shown in the expected shape.
+ */
+
+/**
+ * Get the type of a value as used in the schemas.
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Get a short description of the type expected by a schema.
+ */
+function getExpectedType(schema) {
+  if (schema.enum) {
+    return schema.type + ' (' + schema.enum.join(', ') + ')';
+  }
+  if (schema.type === 'array' && schema.items) {
+    return 'array of ' + getExpectedType(schema.items);
+  }
+  if (schema.type === 'object' && schema.values) {
+    return 'object of ' + getExpectedType(schema.values);
+  }
+  return schema.type;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * Returns the list of errors, each prefixed with the path of the offending
+ * key. The connector `validateConfig` functions, for the rules the schema
+ * cannot express, return their errors in the same format.
+ */
+function validate(value, schema, path = 'config') {
+  const errors = [];
+
+  const type = getType(value);
+  if (type !== schema.type) {
+    errors.push(path + ': expected ' + getExpectedType(schema) + ', got ' + type);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(path + ': expected one of ' + schema.enum.join(', ') + ', got ' + JSON.stringify(value));
+  }
+  else if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, path + '[' + index + ']'));
+    });
+  }
+  else if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    // Check the known keys.
+    for (const key in properties) {
+      if (properties.hasOwnProperty(key)) {
+        if (value.hasOwnProperty(key)) {
+          errors.push(...validate(value[key], properties[key], path + '.' + key));
+        }
+        else if (properties[key].required) {
+          errors.push(path + '.' + key + ': missing required ' + getExpectedType(properties[key]));
+        }
+      }
+    }
+
+    // Check the other keys.
+    for (const key in value) {
+      if (value.hasOwnProperty(key) && !properties.hasOwnProperty(key)) {
+        if (schema.values) {
+          errors.push(...validate(value[key], schema.values, path + '.' + key));
+        }
+        else {
+          errors.push(path + '.' + key + ': unknown key');
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe the shape expected by a schema, one key per line.
+ */
+function describe(schema, indent = '') {
+  const lines = [];
+
+  let properties = schema.properties;
+  if (schema.type === 'array' && schema.items) {
+    properties = schema.items.properties;
+  }
+  else if (schema.type === 'object' && schema.values) {
+    properties = schema.values.properties;
+  }
+
+  for (const key in properties) {
+    if (properties.hasOwnProperty(key)) {
+      const property = properties[key];
+      let line = indent + key + ': ' + getExpectedType(property);
+      if (property.required) {
+        line += ' (required)';
+      }
+      if (property.description) {
+        line += ' - ' + property.description;
+      }
+      lines.push(line);
+      lines.push(...describe(property, indent + '  '));
+    }
+  }
+
+  return lines;
+}
+
+// Schemas of the configuration sections shared by the connectors.
+const retrySchema = {
+  type: 'object',
+  description: 'retry policy for the failed requests',
+  properties: {
+    maxRetries: {type: 'number'},
+    minDelay: {type: 'number'},
+    maxDelay: {type: 'number'},
+    statuses: {type: 'array', items: {type: 'number'}},
+  },
+};
+
+const trelloProperties = {
+  url: {type: 'string', required: true},
+  key: {type: 'string', required: true},
+  token: {type: 'string', required: true},
+  boardId: {type: 'string', required: true},
+  retry: retrySchema,
+  rateLimit: {
+    type: 'object',
+    description: 'throttling of the requests',
+    properties: {
+      maxRequests: {type: 'number'},
+      interval: {type: 'number'},
+      concurrency: {type: 'number'},
+    },
+  },
+};
+
+const rwapiSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    url: {type: 'string', required: true},
+    appname: {type: 'string', required: true},
+    preset: {type: 'string', required: true},
+    pageSize: {type: 'number'},
+    retry: retrySchema,
+  },
+};
+
+const webhookSchema = {
+  type: 'object',
+  description: 'webhook listener settings (--listen mode)',
+  properties: {
+    callbackUrl: {type: 'string', required: true, description: 'public URL of the listener registered with Trello'},
+    port: {type: 'number', description: 'port to listen on (default: 8080)'},
+    host: {type: 'string', description: 'host to listen on (default: all interfaces)'},
+    secret: {type: 'string', description: 'Trello application secret used to verify the notifications'},
+    maxBodySize: {type: 'number', description: 'maximum size in bytes of the notifications (default: 1048576)'},
+    refreshInterval: {type: 'number', description: 'minutes between the full syncs (default: 60)'},
+  },
+};
+
+const labelsSchema = {
+  type: 'object',
+  description: 'label names mapped to their colors',
+  values: {type: 'string'},
+};
+
+const listsSchema = {
+  type: 'array',
+  description: 'lists in which to put the cards based on the entity status',
+  items: {
+    type: 'object',
+    properties: {
+      status: {type: 'string', required: true},
+      name: {type: 'string', required: true},
+      position: {type: 'number', required: true},
+    },
+  },
+};
+
+const stateFileSchema = {
+  type: 'string',
+  description: 'path to the JSON file used to skip the unchanged entities',
+};
+
+const customFieldsSchema = {
+  type: 'boolean',
+  description: 'store the card metadata (dates etc.) in custom fields instead of the description',
+};
+
+const diffCommentsSchema = {
+  type: 'boolean',
+  description: 'comment on the cards with a diff when the profile changes (default: true)',
+};
+
+/**
+ * Build the schema of a connector configuration.
+ *
+ * `trello` contains the extra properties of the trello section and
+ * `properties` the connector specific top level properties.
+ */
+function connectorSchema({trello = {}, rwapi = true, properties = {}}) {
+  const schema = {
+    type: 'object',
+    properties: {
+      debug: {type: 'boolean'},
+      dryRun: {type: 'boolean'},
+      webhook: webhookSchema,
+      trello: {
+        type: 'object',
+        required: true,
+        properties: Object.assign({}, trelloProperties, trello),
+      },
+    },
+  };
+  if (rwapi) {
+    schema.properties.rwapi = rwapiSchema;
+  }
+  Object.assign(schema.properties, properties);
+  return schema;
+}
+
+exports.validate = validate;
+exports.describe = describe;
+exports.connectorSchema = connectorSchema;
+exports.labelsSchema = labelsSchema;
+exports.listsSchema = listsSchema;
+exports.stateFileSchema = stateFileSchema;
+exports.customFieldsSchema = customFieldsSchema;
+exports.diffCommentsSchema = diffCommentsSchema;
@@ -0,0 +1,104 @@
+/**
+ * Staleness rules.
+ *
+ * Each rule adds a warning label to the cards when the number of days since
+ * a date (the rule field, ex: the last profile update) is greater than the
+ * rule threshold. Only the label of the rule with the highest exceeded
+ * threshold is added for a given field.
+ *
+ * A rule has the following properties:
+ *
+ * - label: name of the label.
+ * - color: color of the label.
+ * - days: threshold in days.
+ * - field: source date field, among the ones supported by the connector.
+ */
+function StalenessRules(rules) {
+  // Rules sorted by descending threshold.
+  this.rules = rules.slice().sort((a, b) => b.days - a.days);
+
+  /**
+   * Get the rules for a field.
+   */
+  this.getRules = field => {
+    return this.rules.filter(rule => rule.field === field);
+  };
+
+  /**
+   * Get the label for the number of days since the date of a field if any.
+   */
+  this.getLabels = (field, days) => {
+    const value = Number(days);
+    if (days === null || typeof days === 'undefined' || isNaN(value)) {
+      return [];
+    }
+
+    const rule = this.getRules(field).find(rule => value > rule.days);
+    return rule ? [rule.label] : [];
+  };
+
+  /**
+   * Get the highest threshold for a field.
+   */
+  this.getMaxDays = (field, defaultDays = 0) => {
+    const rules = this.getRules(field);
+    return rules.length > 0 ? rules[0].days : defaultDays;
+  };
+
+  /**
+   * Get the due date of the next review for a field: the day of the given
+   * date plus the lowest threshold of the field rules. Returns an ISO date or
+   * null if there is no rule or the date is invalid.
+   */
+  this.getDueDate = (field, date) => {
+    const rules = this.getRules(field);
+    const time = date !== null && typeof date !== 'undefined' ? new Date(date).getTime() : NaN;
+    if (rules.length === 0 || isNaN(time)) {
+      return null;
+    }
+
+    const day = Math.floor(time / 86400000) * 86400000;
+    return new Date(day + (rules[rules.length - 1].days * 86400000)).toISOString();
+  };
+
+  /**
+   * Get the colors of the rule labels, keyed by label name.
+   */
+  this.getLabelColors = () => {
+    return new Map(this.rules.map(rule => [rule.label, rule.color || '']));
+  };
+}
+
+/**
+ * Get the schema of the staleness rules configuration for the given fields.
+ */
+function stalenessSchema(fields) {
+  return {
+    type: 'array',
+    description: 'warning labels added when a date is older than a number of days',
+    items: {
+      type: 'object',
+      properties: {
+        label: {type: 'string', required: true},
+        color: {type: 'string'},
+        days: {type: 'number', required: true},
+        field: {type: 'string', required: true, enum: fields},
+      },
+    },
+  };
+}
+
+/**
+ * Get the schema of the due date configuration for the given fields.
+ */
+function dueDateSchema(fields) {
+  return {
+    type: 'string',
+    description: 'date field from which to set the card due dates, using its lowest staleness threshold',
+    enum: fields,
+  };
+}
+
+exports.StalenessRules = StalenessRules;
+exports.stalenessSchema = stalenessSchema;
+exports.dueDateSchema = dueDateSchema;
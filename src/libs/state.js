@@ -0,0 +1,109 @@
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+
+/**
+ * Persistent sync state.
+ *
+ * JSON file recording, for each entity synchronized with a board, the hash of
+ * the entity content, the ID of its card and the date of the last sync. It is
+ * used to skip the entities that didn't change since the last run and whose
+ * card was not modified on Trello in the meantime.
+ *
+ * The state is reset when the file is for another board.
+ */
+function SyncState(file, boardId, logger) {
+  this.file = file;
+  this.boardId = boardId;
+  this.logger = logger;
+
+  // Entity records keyed by entity key (URL).
+  this.entities = new Map();
+
+  /**
+   * Load the state from the file.
+   */
+  this.load = () => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+    catch (exception) {
+      if (exception.code !== 'ENOENT') {
+        this.logger.error('Unable to load the sync state from ' + this.file + ': ' + exception.message);
+      }
+      return;
+    }
+
+    if (data.boardId !== this.boardId) {
+      this.logger.info('Ignoring the sync state from ' + this.file + ' as it is for another board');
+      return;
+    }
+
+    this.entities = new Map(Object.entries(data.entities || {}));
+    this.logger.debug('Loaded the sync state of ' + this.entities.size + ' entities from ' + this.file);
+  };
+
+  /**
+   * Save the state to the file.
+   */
+  this.save = () => {
+    const data = {
+      boardId: this.boardId,
+      entities: Object.fromEntries(this.entities),
+    };
+
+    // Write to a temporary file first so that an interrupted run doesn't leave
+    // a truncated state file.
+    try {
+      fs.writeFileSync(this.file + '.tmp', JSON.stringify(data, null, 2));
+      fs.renameSync(this.file + '.tmp', this.file);
+      this.logger.debug('Saved the sync state of ' + this.entities.size + ' entities to ' + this.file);
+    }
+    catch (exception) {
+      this.logger.error('Unable to save the sync state to ' + this.file + ': ' + exception.message);
+    }
+  };
+
+  /**
+   * Compute the hash of a value.
+   */
+  this.hash = value => {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+  };
+
+  /**
+   * Check if an entity and its card are unchanged since the last sync.
+   */
+  this.isUnchanged = (key, hash, card) => {
+    const record = this.entities.get(key);
+    if (!record || record.hash !== hash || record.card !== card.id) {
+      return false;
+    }
+
+    // The card was modified on Trello after the last sync.
+    if (!card.dateLastActivity || new Date(card.dateLastActivity) > new Date(record.synced)) {
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Record the sync of an entity.
+   */
+  this.set = (key, hash, cardId) => {
+    this.entities.set(key, {
+      hash: hash,
+      card: cardId,
+      synced: new Date().toISOString(),
+    });
+  };
+
+  /**
+   * Remove an entity from the state.
+   */
+  this.delete = key => {
+    this.entities.delete(key);
+  };
+}
+
+exports.SyncState = SyncState;
@@ -0,0 +1,111 @@
+/**
+ * Summary of a connector run.
+ *
+ * Keeps track of the cards created, updated, archived and unchanged, of the
+ * failures, of the API errors and of the fatal error that aborted the run if
+ * any.
+ *
+ * The failures are keyed by card, including the failed requests on the card
+ * checklists and checklist items, so that several failed requests for the
+ * same card are only counted once. The failed cards are not counted as
+ * created, updated, archived or unchanged so that the counts add up to the
+ * number of cards.
+ */
+function RunSummary() {
+  this.created = 0;
+  this.updated = 0;
+  this.archived = 0;
+  this.unchanged = 0;
+  this.apiErrors = 0;
+
+  // Cards whose description could not be fully parsed.
+  this.malformed = 0;
+
+  // Failure messages keyed by card ID (or entity URL for the cards that could
+  // not be created).
+  this.failures = new Map();
+
+  // Fatal error that aborted the run.
+  this.fatal = null;
+
+  /**
+   * Record a failure.
+   */
+  this.fail = (key, message) => {
+    if (!this.failures.has(key)) {
+      this.failures.set(key, []);
+    }
+    this.failures.get(key).push(message);
+  };
+
+  /**
+   * Record the fatal error that aborted the run.
+   */
+  this.abort = exception => {
+    this.fatal = String(exception);
+  };
+
+  /**
+   * Get the number of failed cards.
+   */
+  this.getFailed = () => {
+    return this.failures.size;
+  };
+
+  /**
+   * Get the run status: "fatal", "partial" or "success".
+   */
+  this.getStatus = () => {
+    if (this.fatal !== null) {
+      return 'fatal';
+    }
+    if (this.failures.size > 0 || this.apiErrors > 0) {
+      return 'partial';
+    }
+    return 'success';
+  };
+
+  /**
+   * Get the summary data.
+   */
+  this.toJSON = () => {
+    return {
+      status: this.getStatus(),
+      created: this.created,
+      updated: this.updated,
+      archived: this.archived,
+      unchanged: this.unchanged,
+      failed: this.getFailed(),
+      apiErrors: this.apiErrors,
+      malformed: this.malformed,
+      fatal: this.fatal,
+    };
+  };
+
+  /**
+   * Log the summary.
+   */
+  this.report = logger => {
+    const message = 'Run summary: ' + [
+      this.created + ' created',
+      this.updated + ' updated',
+      this.archived + ' archived',
+      this.unchanged + ' unchanged',
+      this.getFailed() + ' failed',
+      this.apiErrors + ' API error(s)',
+      this.malformed + ' malformed description(s)',
+    ].join(', ');
+
+    if (this.getStatus() === 'success') {
+      logger.info(message);
+    }
+    else {
+      logger.error(message + ' - status: ' + this.getStatus());
+      if (this.fatal !== null) {
+        logger.error('Fatal error: ' + this.fatal);
+      }
+    }
+  };
+}
+
+exports.RunSummary = RunSummary;
@@ -0,0 +1,1170 @@
+const RunSummary = require('./summary.js').RunSummary;
+const SyncState = require('./state.js').SyncState;
+const ManagedDescription = require('./description.js').ManagedDescription;
+
+/**
+ * Board sync manager.
+ *
+ * Synchronizes a Trello board with a list of entities (ReliefWeb disasters,
+ * topics, countries etc.). Each entity is represented by a card identified by
+ * the entity URL attached to it. Cards are created in the list corresponding
+ * to the entity status (see `config.lists`) and moved when the status changes.
+ * Depending on the adapter, the cards are also renamed, unarchived when their
+ * entity is returned again and archived when it's not returned anymore.
+ *
+ * When `config.stateFile` is set, the hash of each synchronized entity is
+ * recorded in a state file so that the entities that didn't change since the
+ * last run (and whose card was not modified on Trello) are skipped.
+ *
+ * The entity specific logic is provided by an adapter with the following
+ * properties and methods:
+ *
+ * - urlPattern: pattern of the attachment URL identifying an entity card.
+ * - descriptionHeader: first header of the managed part of the description
+ *   of the cards created before the managed block markers were introduced.
+ * - cardFilter: optional, `all` to load the archived cards as well, `open`
+ *   (default) to only load the open cards.
+ * - unarchiveCards: optional, whether to unarchive the archived cards whose
+ *   entity is returned. The archived cards are left untouched otherwise.
+ * - archiveCards: optional, whether to archive the cards in the status lists
+ *   whose entity is not returned anymore.
+ * - renameCards: optional, whether to update the card names.
+ * - moveAllCards: optional, whether to move the cards to the list of their
+ *   status even from the lists not managed by the connector. Only the cards
+ *   in the status lists are moved otherwise, so that editors can move cards
+ *   to custom lists.
+ * - getEntities(): retrieve the entities (async).
+ * - getKey(entity): get the URL identifying the entity card.
+ * - getName(entity): get the card name.
+ * - getStatus(entity): get the entity status used to determine the card list.
+ * - getLabelNames(entity): get the colorless labels to create for the entity.
+ * - prepareCard(card): extract the managed data from the content of the
+ *   managed block of the card description (`card.parts.content`, null if
+ *   the card has no managed block). The headings of the sections that could
+ *   not be found are set in `card.missingSections`.
+ * - getDescription(entity, card): get the content of the managed block of
+ *   the card description or null if it doesn't need to be updated. The card
+ *   is null when creating a card. The rest of the description is preserved.
+ * - getLabels(entity, card): get the names of the card labels. The card is
+ *   null when creating a card.
+ * - getChecklists(entity): optional, get the card checklists as a map of
+ *   items (with a url, title, name and position) keyed by checklist name.
+ * - getLabelColors(): optional, get the colors of extra labels to create
+ *   (ex: staleness labels) as a map keyed by label name.
+ * - customFields: optional, list of the custom fields (with a key, name and
+ *   type: date, text or number) used to store the card metadata when
+ *   `config.customFields` is enabled.
+ * - getCustomFields(entity, card): optional, get the custom field values
+ *   keyed by custom field key. The card is null when creating a card. The
+ *   current values of a card are set in `card.fields` before `prepareCard`.
+ * - getMembers(entity): optional, get the usernames of the Trello members to
+ *   assign to the card when `config.members` is set.
+ * - getChangeComment(entity, card): optional, get the text of a comment to
+ *   post on the card when its description is updated (ex: diff of the
+ *   profile) or null. Called after `getDescription`.
+ * - getDueDate(entity, card): optional, get the ISO due date of the card, or
+ *   null to leave it untouched, when `config.dueDate` is set. The card is null
+ *   when creating a card. Called after `getDescription`.
+ */
+function BoardSyncManager(config, logger, trelloClient, adapter) {
+  this.config = config;
+  this.logger = logger;
+  this.trelloClient = trelloClient;
+  this.adapter = adapter;
+
+  this.board = null;
+  this.entities = null;
+
+  this.lists = new Map();
+  this.labels = new Map();
+
+  // Board member IDs keyed by lower case username.
+  this.members = new Map();
+
+  // Summary of the run.
+  this.summary = new RunSummary();
+
+  // Constants.
+  this.maxIndex = 10000000;
+
+  // Configuration of the status lists.
+  this.listConfig = this.config.lists || [];
+
+  // Map of the positions of the status lists to help sorting the entities.
+  this.statusPositions = new Map(this.listConfig.map(item => [item.status, item.position]));
+
+  // Custom field definitions keyed by custom field key.
+  this.customFields = new Map();
+  this.useCustomFields = this.config.customFields === true && Array.isArray(adapter.customFields);
+
+  // Managed block of the card descriptions.
+  this.description = new ManagedDescription(adapter.descriptionHeader || null);
+
+  // Persistent sync state.
+  this.state = null;
+  if (this.config.stateFile) {
+    this.state = new SyncState(this.config.stateFile, this.config.trello.boardId, logger);
+  }
+
+  /**
+   * Check if the members responsible for the cards should be assigned.
+   */
+  this.useMembers = () => {
+    return Boolean(this.config.members) && typeof this.adapter.getMembers === 'function';
+  };
+
+  /**
+   * Check if the card due dates should be set.
+   */
+  this.useDueDates = () => {
+    return Boolean(this.config.dueDate) && typeof this.adapter.getDueDate === 'function';
+  };
+
+  /**
+   * Main process function. Returns the run summary.
+   */
+  this.process = async () => {
+    try {
+      await this.getEntities();
+      await this.getBoard();
+      await this.prepareLists();
+      await this.prepareLabels();
+      await this.prepareCustomFields();
+      this.prepareMembers();
+      await this.updateBoard();
+      this.saveState();
+    }
+    catch (exception) {
+      this.logger.error(exception);
+      this.summary.abort(exception);
+    }
+    return this.summary;
+  };
+
+  /**
+   * Save the sync state, except in dry run mode as nothing was applied.
+   */
+  this.saveState = () => {
+    if (this.state === null || this.trelloClient.dryRun) {
+      return;
+    }
+
+    // Remove the entities that are not synchronized anymore.
+    const keys = new Set(this.entities.map(entity => this.adapter.getKey(entity)));
+    for (const key of this.state.entities.keys()) {
+      if (!keys.has(key)) {
+        this.state.delete(key);
+      }
+    }
+
+    this.state.save();
+  };
+
+  /**
+   * Get the hash of an entity for the sync state.
+   *
+   * The hash covers the entity data, the current day, as the staleness labels
+   * depend on it, and the board settings of the configuration.
+   */
+  this.getEntityHash = entity => {
+    const settings = {};
+    for (const key in this.config) {
+      if (this.config.hasOwnProperty(key) && !['trello', 'rwapi', 'debug', 'dryRun', 'stateFile', 'webhook'].includes(key)) {
+        settings[key] = this.config[key];
+      }
+    }
+    return this.state.hash([entity, new Date().toISOString().substring(0, 10), settings]);
+  };
+
+  /**
+   * Log and record a failure, keyed by card (see RunSummary).
+   */
+  this.fail = (key, message) => {
+    this.logger.error(message);
+    this.summary.fail(key, message);
+  };
+
+  /**
+   * Retrieve and sort the entities.
+   */
+  this.getEntities = async () => {
+    const entities = await this.adapter.getEntities();
+    this.sortEntities(entities);
+    this.entities = entities;
+
+    if (this.state !== null) {
+      this.state.load();
+    }
+  };
+
+  /**
+   * Sort the entities by status list position asc and ID desc.
+   */
+  this.sortEntities = entities => {
+    const position = entity => this.statusPositions.get(this.adapter.getStatus(entity)) || 0;
+
+    entities.sort((a, b) => {
+      const pa = position(a);
+      const pb = position(b);
+      if (pa === pb) {
+        if (a.id < b.id) {
+          return 1;
+        }
+        else if (a.id > b.id) {
+          return -1;
+        }
+        return 0;
+      }
+      else if (pa < pb) {
+        return -1;
+      }
+      return 1;
+    });
+  };
+
+  /**
+   * Get the parameters of the card requests.
+   */
+  this.getCardQuery = () => {
+    const data = {
+      fields: 'name,labels,idList,desc,closed,pos,dateLastActivity',
+      attachments: 'true',
+      attachment_fields: 'url',
+    };
+
+    if (typeof this.adapter.getChecklists === 'function') {
+      data.checklists = 'all';
+      data.checklist_fields = 'name,pos';
+    }
+
+    if (this.useCustomFields) {
+      data.customFieldItems = 'true';
+    }
+
+    if (this.useMembers()) {
+      data.fields += ',idMembers';
+    }
+
+    if (this.useDueDates()) {
+      data.fields += ',due,dueComplete';
+    }
+
+    return data;
+  };
+
+  /**
+   * Get the board's cards.
+   */
+  this.getCards = async board => {
+    const data = Object.assign({filter: this.adapter.cardFilter === 'all' ? 'all' : 'open'}, this.getCardQuery());
+
+    const cards = await this.trelloClient.get('/boards/' + board.id + '/cards', data);
+    if (!cards) {
+      throw 'Unable to load cards of board ' + board.id;
+    }
+    board.cards = cards;
+    this.logger.debug('Loaded cards of board ' + board.id);
+  };
+
+  /**
+   * Retrieve the Trello board data.
+   */
+  this.getBoard = async () => {
+    const data = {
+      labels: 'all',
+      label_fields: 'name,color',
+      labels_limit: 1000,
+      lists: 'open',
+      list_fields: 'name,closed',
+      fields: 'name',
+    };
+
+    if (this.useMembers()) {
+      data.members = 'all';
+      data.member_fields = 'username';
+    }
+
+    const result = await this.trelloClient.get('/boards/' + this.config.trello.boardId, data);
+    if (!result) {
+      throw 'Unable to retrieve the Trello board data';
+    }
+
+    this.board = result;
+
+    await this.getCards(this.board);
+  };
+
+  /**
+   * Retrieve, and create if necessary, the board lists.
+   */
+  this.prepareLists = async () => {
+    const boardLists = new Map();
+
+    // Retrieve existing board lists.
+    for (const list of this.board.lists) {
+      boardLists.set(list.name, list);
+    }
+
+    // Set the manager lists, creating non existing ones.
+    for (const item of this.listConfig) {
+      if (boardLists.has(item.name)) {
+        this.lists.set(item.status, boardLists.get(item.name));
+      }
+      else {
+        const list = await this.trelloClient.post('/lists', {
+          name: item.name,
+          pos: item.position,
+          idBoard: this.config.trello.boardId,
+        });
+        if (!list) {
+          throw 'Unable to create list: ' + item.name;
+        }
+        else {
+          this.lists.set(item.status, list);
+          this.logger.info('Created list: ' + item.name);
+        }
+      }
+    }
+  };
+
+  /**
+   * Retrieve, and create if necessary, the board labels.
+   */
+  this.prepareLabels = async () => {
+    const labels = new Map();
+    const boardLabels = new Map();
+
+    // Retrieve existing board labels.
+    for (const label of this.board.labels) {
+      if (label.name !== '') {
+        boardLabels.set(label.name, label);
+      }
+    }
+
+    // Get the adapter labels.
+    if (typeof this.adapter.getLabelColors === 'function') {
+      for (const [name, color] of this.adapter.getLabelColors()) {
+        labels.set(name, color);
+      }
+    }
+
+    // Get the configuration labels, overriding the adapter label colors.
+    for (const name in this.config.labels) {
+      if (this.config.labels.hasOwnProperty(name)) {
+        labels.set(name, this.config.labels[name]);
+      }
+    }
+
+    // Get the labels from the entities. Those are colorless labels.
+    for (const entity of this.entities) {
+      for (const name of this.adapter.getLabelNames(entity)) {
+        labels.set(name, '');
+      }
+    }
+
+    // Set the manager labels, creating non existing ones.
+    for (const [name, color] of labels) {
+      if (boardLabels.has(name)) {
+        this.labels.set(name, boardLabels.get(name));
+      }
+      else {
+        const label = await this.trelloClient.post('/labels', {
+          name: name,
+          color: color,
+          idBoard: this.config.trello.boardId,
+        });
+        if (!label) {
+          throw 'Unable to create label: ' + name;
+        }
+        else {
+          this.labels.set(name, label);
+          this.logger.info('Created label: ' + name);
+        }
+      }
+    }
+  };
+
+  /**
+   * Retrieve, and create if necessary, the board custom fields.
+   */
+  this.prepareCustomFields = async () => {
+    if (!this.useCustomFields) {
+      return;
+    }
+
+    const boardId = this.config.trello.boardId;
+    const definitions = await this.trelloClient.get('/boards/' + boardId + '/customFields');
+    if (!definitions) {
+      throw 'Unable to retrieve the custom fields of board ' + boardId;
+    }
+
+    for (const field of this.adapter.customFields) {
+      let definition = definitions.find(item => item.name === field.name);
+      if (definition && definition.type !== field.type) {
+        throw 'Custom field ' + field.name + ' has type ' + definition.type + ' instead of ' + field.type;
+      }
+      else if (!definition) {
+        definition = await this.trelloClient.post('/customFields', {
+          idModel: boardId,
+          modelType: 'board',
+          name: field.name,
+          type: field.type,
+          pos: 'bottom',
+          display_cardFront: true,
+        }, true);
+        if (!definition) {
+          throw 'Unable to create custom field: ' + field.name;
+        }
+        this.logger.info('Created custom field: ' + field.name);
+      }
+      this.customFields.set(field.key, definition);
+    }
+  };
+
+  /**
+   * Map the board members by username and report the mapped usernames that
+   * are not members of the board.
+   */
+  this.prepareMembers = () => {
+    if (!this.useMembers()) {
+      return;
+    }
+
+    for (const member of this.board.members || []) {
+      this.members.set(member.username.toLowerCase(), member.id);
+    }
+
+    const unknown = new Set();
+    for (const entity of this.entities) {
+      for (const username of this.adapter.getMembers(entity)) {
+        if (!this.members.has(username.toLowerCase())) {
+          unknown.add(username);
+        }
+      }
+    }
+    for (const username of unknown) {
+      this.logger.error('Unknown board member: ' + username);
+    }
+  };
+
+  /**
+   * Get the IDs of the members to assign to an entity card.
+   */
+  this.getEntityMembers = entity => {
+    const members = new Set();
+    for (const username of this.adapter.getMembers(entity)) {
+      const id = this.members.get(username.toLowerCase());
+      if (id) {
+        members.add(id);
+      }
+    }
+    return members;
+  };
+
+  /**
+   * Update a card's members.
+   *
+   * The mapped members are added to the card. The other members are only
+   * removed in strict mode so that editors can assign themselves otherwise.
+   */
+  this.updateCardMembers = async (card, entity) => {
+    let changed = false;
+
+    if (!this.useMembers()) {
+      return changed;
+    }
+
+    const members = this.getEntityMembers(entity);
+    const current = card.idMembers || [];
+
+    // In strict mode, remove the members not in the mapping.
+    if (this.config.members.strict === true) {
+      for (const id of current) {
+        if (!members.has(id)) {
+          try {
+            await this.trelloClient.delete('/cards/' + card.id + '/idMembers/' + id);
+            this.logger.debug('Removed member ' + id + ' from card ' + card.name);
+            changed = true;
+          }
+          catch (exception) {
+            this.fail(card.id, 'Unable to remove member ' + id + ' from card ' + card.name + ': ' + exception);
+          }
+        }
+      }
+    }
+
+    for (const id of members) {
+      if (!current.includes(id)) {
+        try {
+          await this.trelloClient.post('/cards/' + card.id + '/idMembers', {
+            value: id,
+          });
+          this.logger.debug('Added member ' + id + ' to card ' + card.name);
+          changed = true;
+        }
+        catch (exception) {
+          this.fail(card.id, 'Unable to add member ' + id + ' to card ' + card.name + ': ' + exception);
+        }
+      }
+    }
+
+    return changed;
+  };
+
+  /**
+   * Get the custom field values of a card keyed by custom field key.
+   */
+  this.getCardCustomFields = card => {
+    const values = {};
+    for (const [key, definition] of this.customFields) {
+      const item = (card.customFieldItems || []).find(item => item.idCustomField === definition.id);
+      values[key] = item && item.value ? item.value[definition.type] : null;
+    }
+    return values;
+  };
+
+  /**
+   * Format a custom field value as stored by Trello, null if empty.
+   */
+  this.formatCustomFieldValue = (type, value) => {
+    if (value === null || typeof value === 'undefined' || value === '') {
+      return null;
+    }
+
+    switch (type) {
+      case 'date': {
+        const date = new Date(value);
+        return isNaN(date) ? null : date.toISOString();
+      }
+
+      case 'number':
+        return isNaN(Number(value)) ? null : String(Number(value));
+    }
+    return String(value);
+  };
+
+  /**
+   * Update a card's custom fields.
+   */
+  this.updateCardCustomFields = async (card, values, current = {}) => {
+    let changed = false;
+
+    for (const [key, definition] of this.customFields) {
+      const value = this.formatCustomFieldValue(definition.type, values[key]);
+      if (value === this.formatCustomFieldValue(definition.type, current[key])) {
+        continue;
+      }
+
+      try {
+        await this.trelloClient.put('/cards/' + card.id + '/customField/' + definition.id + '/item', {
+          value: value === null ? '' : {[definition.type]: value},
+        }, true);
+        this.logger.debug('Updated custom field ' + definition.name + ' for card ' + card.name);
+        changed = true;
+      }
+      catch (exception) {
+        this.fail(card.id, 'Unable to update custom field ' + definition.name + ' for card ' + card.name + ': ' + exception);
+      }
+    }
+
+    return changed;
+  };
+
+  /**
+   * Check if a list is one of the automatically managed lists (status lists).
+   */
+  this.isManagedList = listId => {
+    for (const list of this.lists.values()) {
+      if (list.id === listId) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Get the labels for an entity, keyed by name.
+   */
+  this.getEntityLabels = (entity, card) => {
+    const labels = new Map();
+
+    for (const name of this.adapter.getLabels(entity, card)) {
+      const label = this.labels.get(name);
+      if (label) {
+        labels.set(label.name, label.id);
+      }
+    }
+
+    return labels;
+  };
+
+  /**
+   * Update a card's labels.
+   */
+  this.updateCardLabels = async (card, entity) => {
+    let changed = false;
+
+    const labels = this.getEntityLabels(entity, card);
+
+    // Remove old labels but only entity and config ones so that editors
+    // can add custom labels.
+    for (const label of card.labels) {
+      if (!labels.has(label.name)) {
+        if (this.labels.has(label.name)) {
+          try {
+            await this.trelloClient.delete('/cards/' + card.id + '/idLabels/' + label.id);
+            this.logger.debug('Removed old label ' + label.name + ' for card ' + card.name);
+            changed = true;
+          }
+          catch (exception) {
+            this.fail(card.id, 'Unable to remove old label ' + label.name + ' for card ' + card.name);
+          }
+        }
+      }
+      else {
+        labels.delete(label.name);
+      }
+    }
+
+    // Add new labels.
+    for (const [name, id] of labels) {
+      try {
+        await this.trelloClient.post('/cards/' + card.id + '/idLabels', {
+          value: id,
+        });
+        this.logger.debug('Added new label ' + name + ' for card ' + card.name);
+        changed = true;
+      }
+      catch (exception) {
+        this.fail(card.id, 'Unable to add label ' + name + ' for card ' + card.name + ': ' + exception);
+      }
+    }
+
+    return changed;
+  };
+
+  /**
+   * Add a checklist item.
+   */
+  this.addCheckItem = async (cardId, checklistId, item) => {
+    try {
+      await this.trelloClient.post('/checklists/' + checklistId + '/checkItems', {
+        name: item.name,
+        pos: item.position,
+      });
+      this.logger.debug('Added checklist item ' + item.url);
+    }
+    catch (exception) {
+      this.fail(cardId, 'Unable to add checklist item ' + item.url + ' to list ' + checklistId);
+    }
+  };
+
+  /**
+   * Update a checklist item.
+   */
+  this.updateCheckItem = async (cardId, checklistId, id, item) => {
+    try {
+      await this.trelloClient.put('/cards/' + cardId + '/checklist/' + checklistId + '/checkItem/' + id, {
+        idChecklistCurrent: checklistId,
+        idCheckItem: id,
+        name: item.name,
+        pos: item.position,
+      });
+      this.logger.debug('Updated checklist item ' + id);
+    }
+    catch (exception) {
+      this.fail(cardId, 'Unable to update checklist item ' + id);
+    }
+  };
+
+  /**
+   * Delete a checklist item.
+   */
+  this.deleteCheckItem = async (cardId, checklistId, id) => {
+    try {
+      await this.trelloClient.delete('/checklists/' + checklistId + '/checkItems/' + id);
+      this.logger.debug('Deleted checklist item ' + id);
+    }
+    catch (exception) {
+      this.fail(cardId, 'Unable to delete checklist item ' + id);
+    }
+  };
+
+  /**
+   * Add a checklist.
+   */
+  this.addChecklist = async (cardId, name, items) => {
+    try {
+      const checklist = await this.trelloClient.post('/cards/' + cardId + '/checklists', {
+        name: name,
+      });
+      this.logger.debug('Added checklist ' + name);
+
+      // Add all check list items.
+      for (const item of items.values()) {
+        this.logger.debug('Adding checklist item ' + item.url);
+        await this.addCheckItem(cardId, checklist.id, item);
+      }
+    }
+    catch (exception) {
+      this.fail(cardId, 'Unable to add checklist ' + name + ' to card ' + cardId);
+    }
+  };
+
+  /**
+   * Update a checklist: add, update or remove items.
+   *
+   * The check items are markdown links, identified by their URL.
+   */
+  this.updateChecklist = async (cardId, checklist, items) => {
+    let changed = false;
+
+    // Copy the items so that the entity data is not altered.
+    items = new Map(items);
+
+    // Update or delete exisiting items.
+    for (const checkitem of checklist.checkItems) {
+      if (checkitem.name.indexOf('](') > 0) {
+        const parts = checkitem.name.split('](');
+        const title = parts[0].slice(1);
+        const url = parts[1].slice(0, -1);
+
+        if (items.has(url)) {
+          const item = items.get(url);
+
+          // Update if title or position changed.
+          if (item.title != title || item.position != checkitem.pos) {
+            await this.updateCheckItem(cardId, checklist.id, checkitem.id, item);
+            changed = true;
+          }
+
+          // Remove the item from the list so it's not processed when adding
+          // new items below.
+          items.delete(url);
+        }
+        // Otherwise, if there is no corresponding item, remove it.
+        else {
+          await this.deleteCheckItem(cardId, checklist.id, checkitem.id);
+          changed = true;
+        }
+      }
+    }
+
+    // Add new items.
+    for (const item of items.values()) {
+      this.logger.debug('Adding checklist item ' + item.name);
+      await this.addCheckItem(cardId, checklist.id, item);
+      changed = true;
+    }
+
+    return changed;
+  };
+
+  /**
+   * Update a card's checklists.
+   */
+  this.updateCardChecklists = async (card, entity) => {
+    let changed = false;
+
+    if (typeof this.adapter.getChecklists !== 'function') {
+      return changed;
+    }
+
+    const checklists = new Map();
+    if (card.checklists) {
+      for (const checklist of card.checklists) {
+        checklists.set(checklist.name, checklist);
+      }
+    }
+
+    for (const [name, items] of this.adapter.getChecklists(entity)) {
+      if (!checklists.has(name)) {
+        await this.addChecklist(card.id, name, items);
+        changed = true;
+      }
+      else {
+        if (await this.updateChecklist(card.id, checklists.get(name), items)) {
+          changed = true;
+        }
+      }
+    }
+
+    return changed;
+  };
+
+  /**
+   * Update a Trello card.
+   */
+  this.updateCard = async (position, card, entity) => {
+    let changed = false;
+
+    // Store the card data to update.
+    const data = new Map();
+
+    // List in which the card should be.
+    const list = this.lists.get(this.adapter.getStatus(entity));
+
+    // Only move cards that are in an automatically managed list (status
+    // list) so that editors can move cards to custom lists, unless the
+    // adapter manages all the lists.
+    const managedList = this.adapter.moveAllCards === true || this.isManagedList(card.idList);
+
+    // Update list in which the card should be if the entity status changed.
+    if (list && managedList && card.idList !== list.id) {
+      this.logger.debug('Updated list ID of card ' + card.name);
+      data.set('idList', list.id);
+    }
+
+    // Update the card position if necessary.
+    if (managedList && Number(parseFloat(card.pos).toFixed()) !== position) {
+      this.logger.debug('Updated position of card ' + card.name);
+      data.set('pos', position);
+    }
+
+    // Unarchive if necessary.
+    if (card.closed && this.adapter.unarchiveCards === true) {
+      this.logger.debug('Unarchived card ' + card.name);
+      data.set('closed', 'false');
+    }
+
+    // Update the card name if necessary.
+    const name = this.adapter.getName(entity);
+    if (this.adapter.renameCards === true && card.name !== name) {
+      this.logger.debug('Updated name of card ' + card.name);
+      data.set('name', name);
+    }
+
+    // Update the card description if necessary.
+    const description = this.adapter.getDescription(entity, card);
+    let comment = null;
+    if (description !== null) {
+      this.logger.debug('Updated description of card ' + card.name);
+      data.set('desc', this.description.build(description, card.parts));
+
+      if (typeof this.adapter.getChangeComment === 'function') {
+        comment = this.adapter.getChangeComment(entity, card);
+      }
+    }
+
+    // Update the card due date if necessary. The due date is marked as not
+    // complete when it moves forward so that the next review is notified.
+    if (this.useDueDates()) {
+      const due = this.adapter.getDueDate(entity, card);
+      const current = card.due ? new Date(card.due).getTime() : null;
+      if (due !== null && new Date(due).getTime() !== current) {
+        this.logger.debug('Updated due date of card ' + card.name);
+        data.set('due', due);
+        if (card.dueComplete && (current === null || new Date(due).getTime() > current)) {
+          data.set('dueComplete', 'false');
+        }
+      }
+    }
+
+    // Update the card labels.
+    if (await this.updateCardLabels(card, entity)) {
+      this.logger.info('Updated labels for card ' + card.name);
+      changed = true;
+    }
+
+    // Update the card checklists.
+    if (await this.updateCardChecklists(card, entity)) {
+      this.logger.info('Updated checklists for card ' + card.name);
+      changed = true;
+    }
+
+    // Update the card members.
+    if (await this.updateCardMembers(card, entity)) {
+      this.logger.info('Updated members for card ' + card.name);
+      changed = true;
+    }
+
+    // Update the card custom fields.
+    if (this.useCustomFields && await this.updateCardCustomFields(card, this.adapter.getCustomFields(entity, card), card.fields)) {
+      this.logger.info('Updated custom fields for card ' + card.name);
+      changed = true;
+    }
+
+    // Update the card if necessary.
+    if (data.size > 0) {
+      try {
+        await this.trelloClient.put('/cards/' + card.id, Object.fromEntries(data));
+        this.logger.info('Updated card ' + card.name);
+        changed = true;
+      }
+      catch (exception) {
+        this.fail(card.id, 'Unable to update card ' + card.name + ': ' + exception);
+        comment = null;
+      }
+    }
+
+    // Comment on the card about the description change.
+    if (comment !== null) {
+      try {
+        await this.trelloClient.post('/cards/' + card.id + '/actions/comments', {
+          text: comment,
+        });
+        this.logger.debug('Added change comment to card ' + card.name);
+      }
+      catch (exception) {
+        this.fail(card.id, 'Unable to add change comment to card ' + card.name + ': ' + exception);
+      }
+    }
+    else if (!changed) {
+      this.logger.info('No changes for card ' + card.name);
+    }
+
+    return changed;
+  };
+
+  /**
+   * Create a Trello card. Returns the created card or false.
+   */
+  this.createCard = async (position, entity) => {
+    const name = this.adapter.getName(entity);
+    const url = this.adapter.getKey(entity);
+    const list = this.lists.get(this.adapter.getStatus(entity));
+
+    // Cards can only be created in a status list.
+    if (!list) {
+      this.logger.debug('No list to create card ' + name);
+      return false;
+    }
+
+    const data = {
+      idList: list.id,
+      urlSource: '',
+      name: name,
+      desc: this.description.build(this.adapter.getDescription(entity, null)),
+      pos: position,
+      idLabels: Array.from(this.getEntityLabels(entity, null).values()).join(','),
+    };
+
+    if (this.useMembers()) {
+      data.idMembers = Array.from(this.getEntityMembers(entity)).join(',');
+    }
+
+    if (this.useDueDates()) {
+      const due = this.adapter.getDueDate(entity, null);
+      if (due !== null) {
+        data.due = due;
+      }
+    }
+
+    // Create the card.
+    let card;
+    try {
+      card = await this.trelloClient.post('/cards', data);
+      this.logger.info('Created card ' + name);
+    }
+    catch (exception) {
+      this.fail(url, 'Unable to create card ' + name + ': ' + exception);
+      return false;
+    }
+
+    // Add the entity URL as attachment.
+    try {
+      await this.trelloClient.post('/cards/' + card.id + '/attachments', {
+        url: url,
+      });
+      this.logger.debug('Added url ' + url + ' to card ' + name);
+    }
+    catch (exception) {
+      this.fail(card.id, 'Unable to set the URL ' + url + ' to card ' + name);
+    }
+
+    // Add the card checklists.
+    if (await this.updateCardChecklists(card, entity)) {
+      this.logger.info('Updated checklists for card ' + name);
+    }
+
+    // Set the card custom fields.
+    if (this.useCustomFields) {
+      await this.updateCardCustomFields(card, this.adapter.getCustomFields(entity, null));
+    }
+
+    return card;
+  };
+
+  /**
+   * Archive a Trello card.
+   */
+  this.archiveCard = async card => {
+    try {
+      await this.trelloClient.put('/cards/' + card.id, {
+        closed: 'true',
+      });
+      this.logger.info('Archived card ' + card.name);
+      return true;
+    }
+    catch (exception) {
+      this.fail(card.id, 'Unable to archive card ' + card.name + ': ' + exception);
+      return false;
+    }
+  };
+
+  /**
+   * Report the cards whose description is missing managed sections.
+   */
+  this.checkCardDescription = card => {
+    if (card.parts.content === null) {
+      if (card.desc !== '') {
+        this.logger.error('Malformed description for card ' + card.name + ': managed block not found');
+        this.summary.malformed++;
+      }
+    }
+    else if (card.missingSections && card.missingSections.length > 0) {
+      this.logger.error('Malformed description for card ' + card.name + ': missing section(s) ' + card.missingSections.join(', '));
+      this.summary.malformed++;
+    }
+  };
+
+  /**
+   * Get the URL of the entity attached to a card or null if none.
+   */
+  this.getCardKey = card => {
+    for (const attachment of card.attachments || []) {
+      if (this.adapter.urlPattern.test(attachment.url)) {
+        return attachment.url;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Extract the managed data of an entity card.
+   */
+  this.prepareEntityCard = card => {
+    card.parts = this.description.parse(card.desc);
+    card.fields = this.getCardCustomFields(card);
+    this.adapter.prepareCard(card);
+    this.checkCardDescription(card);
+    return card;
+  };
+
+  /**
+   * Get the existing entity cards keyed by the URL of their attachment.
+   */
+  this.getEntityCards = () => {
+    const cards = new Map();
+
+    for (const card of this.board.cards) {
+      const key = this.getCardKey(card);
+      if (key !== null) {
+        cards.set(key, this.prepareEntityCard(card));
+      }
+    }
+
+    return cards;
+  };
+
+  /**
+   * Synchronize a single card with its entity, using the entities retrieved
+   * by the last full sync (see `process`). Returns true if the card changed.
+   */
+  this.syncCard = async cardId => {
+    if (this.entities === null || this.board === null) {
+      throw 'Unable to sync card ' + cardId + ' before a full sync';
+    }
+
+    const data = this.getCardQuery();
+    data.fields += ',idBoard';
+
+    const card = await this.trelloClient.get('/cards/' + cardId, data);
+    if (!card || card.idBoard !== this.board.id) {
+      this.logger.debug('Skipped card ' + cardId + ' from another board');
+      return false;
+    }
+    if (card.closed && this.adapter.unarchiveCards !== true) {
+      this.logger.debug('Skipped archived card ' + card.name);
+      return false;
+    }
+
+    const key = this.getCardKey(card);
+    const entity = key !== null ? this.entities.find(entity => this.adapter.getKey(entity) === key) : null;
+    if (!entity) {
+      this.logger.debug('Skipped card ' + card.name + ' without entity');
+      return false;
+    }
+
+    this.prepareEntityCard(card);
+    const changed = await this.updateCard(this.maxIndex - entity.id, card, entity);
+    if (this.state !== null && !this.summary.failures.has(card.id)) {
+      this.state.set(key, this.getEntityHash(entity), card.id);
+      this.state.save();
+    }
+    return changed;
+  };
+
+  /**
+   * Update the Trello board.
+   */
+  this.updateBoard = async () => {
+    const cards = this.getEntityCards();
+
+    // Update or create the entity cards.
+    for (const entity of this.entities) {
+      const key = this.adapter.getKey(entity);
+      const hash = this.state !== null ? this.getEntityHash(entity) : null;
+      const position = this.maxIndex - entity.id;
+      if (cards.has(key)) {
+        const card = cards.get(key);
+        cards.delete(key);
+
+        // Leave the archived cards untouched unless the adapter unarchives
+        // them.
+        if (card.closed && this.adapter.unarchiveCards !== true) {
+          this.logger.debug('Skipped archived card ' + card.name);
+          this.summary.unchanged++;
+          continue;
+        }
+
+        // Skip the entities that didn't change since the last sync.
+        if (hash !== null && this.state.isUnchanged(key, hash, card)) {
+          this.logger.debug('Skipped unchanged card ' + card.name);
+          this.summary.unchanged++;
+          continue;
+        }
+
+        const changed = await this.updateCard(position, card, entity);
+        if (this.summary.failures.has(card.id)) {
+          this.logger.debug('Failed to fully update card ' + card.name);
+          continue;
+        }
+        else if (changed) {
+          this.summary.updated++;
+        }
+        else {
+          this.summary.unchanged++;
+        }
+        if (hash !== null) {
+          this.state.set(key, hash, card.id);
+        }
+      }
+      else {
+        const card = await this.createCard(position, entity);
+        if (card && !this.summary.failures.has(card.id)) {
+          this.summary.created++;
+          if (hash !== null) {
+            this.state.set(key, hash, card.id);
+          }
+        }
+      }
+    }
+    this.logger.info('Updated/created ' + (this.summary.updated + this.summary.created) + ' card(s)');
+
+    // Archive the remaining cards in the status lists as they were not in the
+    // list of entities to monitor.
+    for (const card of cards.values()) {
+      if (this.adapter.archiveCards === true && !card.closed && this.isManagedList(card.idList)) {
+        if (await this.archiveCard(card)) {
+          this.summary.archived++;
+        }
+      }
+    }
+    if (this.summary.archived > 0) {
+      this.logger.info('Archived ' + this.summary.archived + ' card(s)');
+    }
+  };
+}
+
+exports.BoardSyncManager = BoardSyncManager;
@@ -1,16 +1,42 @@
 const URLSearchParams = require('node:url').URLSearchParams;
+const RetryPolicy = require('./retry.js').RetryPolicy;
+const RateLimiter = require('./limiter.js').RateLimiter;
 
 /**
  * Simple wrapper around the Trello data api.
+ *
+ * When `dryRun` is enabled, the requests modifying the board (PUT, POST and
+ * DELETE) are not sent but recorded so that a change plan can be reported at
+ * the end of the run.
  */
-function TrelloClient(config, logger) {
+function TrelloClient(config, logger, dryRun = false) {
   this.config = config;
   this.logger = logger;
+  this.dryRun = dryRun;
+
+  // List of the requests that would have been sent in dry run mode.
+  this.plan = [];
+
+  // Cards and checklists retrieved in dry run mode, keyed by ID, to describe
+  // the changes with the card names and the current values.
+  this.cards = new Map();
+  this.checklists = new Map();
+
+  // Retry failed requests and stay within Trello's rate limits (100 requests
+  // per 10 seconds per token by default).
+  this.retryPolicy = new RetryPolicy(config.retry, logger);
+  this.rateLimiter = new RateLimiter(config.rateLimit);
+
+  // Number of failed requests.
+  this.errors = 0;
 
   /**
    * Perform a request against the Trello API.
+   *
+   * The data is sent as form data or as JSON if `json` is true (ex: for
+   * custom field values).
    */
-  this.fetch = async (method, endpoint, parameters = {}, data = null) => {
+  this.fetch = async (method, endpoint, parameters = {}, data = null, json = false) => {
     const options = {
       method: method,
     };
@@ -21,12 +47,27 @@ function TrelloClient(config, logger) {
 
     const url = this.config.url + endpoint + '?' + params.toString();
 
-    if (data) {
+    if (data && json) {
+      options.headers = {'Content-Type': 'application/json'};
+      options.body = JSON.stringify(data);
+    }
+    else if (data) {
       options.headers = {'Content-Type': 'application/x-www-form-urlencoded'};
       options.body = new URLSearchParams(data).toString();
     }
 
-    const response = await fetch(url, options);
+    let response;
+    try {
+      response = await this.retryPolicy.execute(async () => {
+        const response = await this.rateLimiter.schedule(() => fetch(url, options));
+        this.checkRateLimit(response);
+        return response;
+      }, method + ' request on ' + endpoint, method !== 'POST');
+    }
+    catch (exception) {
+      this.errors++;
+      throw 'Trello API error for ' + method + ' request on ' + endpoint + ': ' + exception;
+    }
 
     if (response.ok) {
       const data = await response.json();
@@ -42,38 +83,323 @@ function TrelloClient(config, logger) {
       catch (exception) {
         // Nothing to do.
       }
+      this.errors++;
       throw 'Trello API error for ' + method + ' request on ' + endpoint + ': ' + response.status + ' ' + response.statusText;
     }
   };
 
+  /**
+   * Pause the requests if Trello's rate limit headers say we hit the limit.
+   */
+  this.checkRateLimit = response => {
+    for (const type of ['token', 'key']) {
+      const remaining = response.headers.get('x-rate-limit-api-' + type + '-remaining');
+      const interval = response.headers.get('x-rate-limit-api-' + type + '-interval-ms');
+      if (remaining !== null && parseInt(remaining, 10) <= 0) {
+        const delay = interval !== null ? parseInt(interval, 10) : 10000;
+        this.logger.debug('Trello API ' + type + ' rate limit reached, pausing for ' + delay + 'ms');
+        this.rateLimiter.pause(delay);
+      }
+    }
+  };
+
+  /**
+   * Perform a request modifying the board or record it in dry run mode.
+   */
+  this.mutate = async (method, endpoint, data = null, json = false) => {
+    if (!this.dryRun) {
+      return this.fetch(method, endpoint, {}, data, json);
+    }
+
+    const change = this.describe(method, endpoint, data || {});
+    this.plan.push(change);
+    this.logger.debug('Dry run: ' + this.formatChange(change) + ' (' + method + ' ' + endpoint + ')');
+
+    // Return a fake object so that the callers can carry on with the
+    // resources they think they created.
+    return Object.assign({}, data, {
+      id: 'dry-run-' + this.plan.length,
+    });
+  };
+
+  /**
+   * Describe the change corresponding to a request modifying the board.
+   */
+  this.describe = (method, endpoint, data) => {
+    const parts = endpoint.split('/').filter(part => part !== '');
+    const change = {
+      action: method + ' ' + parts[0],
+      endpoint: endpoint,
+      data: data,
+      card: null,
+      before: null,
+      after: method === 'DELETE' ? null : data,
+    };
+
+    // Card affected by the change, with its current values.
+    let card = null;
+    if (parts[0] === 'cards' && parts.length > 1) {
+      card = this.cards.get(parts[1]) || {id: parts[1]};
+    }
+    else if (parts[0] === 'checklists' && parts.length > 1 && this.checklists.has(parts[1])) {
+      const idCard = this.checklists.get(parts[1]).idCard;
+      card = this.cards.get(idCard) || {id: idCard};
+    }
+    if (card !== null) {
+      change.card = {id: card.id, name: card.name || null};
+    }
+
+    switch (method + ' ' + parts[0] + (parts.length > 2 ? '/' + parts[2] : '')) {
+      case 'POST lists':
+        change.action = 'create list';
+        break;
+
+      case 'POST labels':
+        change.action = 'create label';
+        break;
+
+      case 'POST cards':
+        change.action = 'create card';
+        change.card = {id: null, name: data.name || null};
+        break;
+
+      case 'PUT cards':
+        if (data.closed === 'true') {
+          change.action = 'archive card';
+        }
+        else if (data.closed === 'false') {
+          change.action = 'unarchive card';
+        }
+        else if (data.hasOwnProperty('idList')) {
+          change.action = 'move card';
+        }
+        else if (data.hasOwnProperty('name')) {
+          change.action = 'rename card';
+        }
+        else {
+          change.action = 'update card';
+        }
+        change.changes = Object.keys(data);
+        change.before = pick(card, change.changes);
+        break;
+
+      case 'POST cards/idLabels':
+        change.action = 'add card label';
+        change.before = pick(card, ['idLabels']);
+        break;
+
+      case 'DELETE cards/idLabels':
+        change.action = 'remove card label';
+        change.before = pick(card, ['idLabels']);
+        change.after = {idLabels: parts[3]};
+        break;
+
+      case 'POST cards/idMembers':
+        change.action = 'add card member';
+        change.before = pick(card, ['idMembers']);
+        break;
+
+      case 'DELETE cards/idMembers':
+        change.action = 'remove card member';
+        change.before = pick(card, ['idMembers']);
+        change.after = {idMembers: parts[3]};
+        break;
+
+      case 'POST cards/actions':
+        change.action = 'add card comment';
+        break;
+
+      case 'POST cards/attachments':
+        change.action = 'add card attachment';
+        break;
+
+      case 'POST cards/checklists':
+      case 'POST checklists':
+        change.action = 'create checklist';
+        break;
+
+      case 'DELETE checklists':
+        change.action = 'delete checklist';
+        change.before = pick(this.checklists.get(parts[1]) || {}, ['name']);
+        break;
+
+      case 'POST checklists/checkItems':
+        change.action = 'create checklist item';
+        break;
+
+      case 'PUT cards/checklist':
+        change.action = 'update checklist item';
+        change.before = pick(this.getCheckItem(parts[3], parts[5]) || {}, Object.keys(data));
+        break;
+
+      case 'DELETE checklists/checkItems':
+        change.action = 'delete checklist item';
+        change.before = pick(this.getCheckItem(parts[1], parts[3]) || {}, ['name', 'state']);
+        break;
+
+      case 'POST webhooks':
+        change.action = 'create webhook';
+        break;
+
+      case 'POST customFields':
+        change.action = 'create custom field';
+        break;
+
+      case 'PUT cards/customField':
+        change.action = 'update card custom field';
+        break;
+    }
+
+    return change;
+  };
+
+  /**
+   * Get a checklist item retrieved in dry run mode.
+   */
+  this.getCheckItem = (checklistId, checkItemId) => {
+    const checklist = this.checklists.get(checklistId);
+    return checklist ? checklist.checkItems.find(item => item.id === checkItemId) : null;
+  };
+
+  /**
+   * Record the cards and checklists of a response in dry run mode.
+   */
+  this.remember = data => {
+    if (Array.isArray(data)) {
+      data.forEach(this.remember);
+    }
+    else if (data !== null && typeof data === 'object') {
+      if (data.hasOwnProperty('idList') && data.hasOwnProperty('id')) {
+        this.cards.set(data.id, data);
+      }
+      if (data.hasOwnProperty('checkItems') && data.hasOwnProperty('idCard')) {
+        this.checklists.set(data.id, data);
+      }
+      for (const key of ['cards', 'checklists']) {
+        if (Array.isArray(data[key])) {
+          data[key].forEach(this.remember);
+        }
+      }
+    }
+  };
+
+  /**
+   * Format a change recorded in dry run mode for the logs.
+   */
+  this.formatChange = change => {
+    let message = change.action;
+    if (change.card !== null) {
+      message += ' ' + (change.card.name !== null ? JSON.stringify(change.card.name) : change.card.id);
+      if (change.card.id !== null && change.card.name !== null) {
+        message += ' (' + change.card.id + ')';
+      }
+    }
+    const keys = Object.keys(Object.assign({}, change.before, change.after));
+    if (keys.length > 0) {
+      message += ': ' + keys.map(key => {
+        return key + ' ' + formatValue(change.before, key) + ' -> ' + formatValue(change.after, key);
+      }).join(', ');
+    }
+    return message;
+  };
+
+  /**
+   * Get the change plan recorded in dry run mode, grouped by action.
+   */
+  this.getPlan = () => {
+    const plan = {};
+    for (const change of this.plan) {
+      if (!plan.hasOwnProperty(change.action)) {
+        plan[change.action] = [];
+      }
+      plan[change.action].push(change);
+    }
+    return plan;
+  };
+
+  /**
+   * Log the change plan recorded in dry run mode: the number of changes per
+   * action and the card and the values before and after each change.
+   */
+  this.reportPlan = () => {
+    if (!this.dryRun) {
+      return;
+    }
+
+    const plan = this.getPlan();
+    this.logger.info('Dry run: ' + this.plan.length + ' change(s) planned');
+    for (const action in plan) {
+      if (plan.hasOwnProperty(action)) {
+        this.logger.info('Dry run: ' + action + ': ' + plan[action].length);
+        for (const change of plan[action]) {
+          this.logger.info('Dry run: - ' + this.formatChange(change));
+        }
+      }
+    }
+  };
+
   /**
    * Get data from the trello API.
    */
   this.get = async (endpoint, data) => {
-    return this.fetch('GET', endpoint, data);
+    const result = await this.fetch('GET', endpoint, data);
+    if (this.dryRun) {
+      this.remember(result);
+    }
+    return result;
   };
 
   /**
    * Put data to the Trello API.
    */
-  this.put = async (endpoint, data) => {
-    return this.fetch('PUT', endpoint, {}, data);
+  this.put = async (endpoint, data, json = false) => {
+    return this.mutate('PUT', endpoint, data, json);
   };
 
   /**
    * Post data to the Trello API.
    */
-  this.post = async (endpoint, data) => {
-    return this.fetch('POST', endpoint, {}, data);
+  this.post = async (endpoint, data, json = false) => {
+    return this.mutate('POST', endpoint, data, json);
   };
 
   /**
    * Delete data from the Trello API.
    */
   this.delete = async (endpoint) => {
-    return this.fetch('DELETE', endpoint);
+    return this.mutate('DELETE', endpoint);
   };
 
 }
 
+/**
+ * Get the given properties of an object, null if the object is not known.
+ */
+function pick(object, keys) {
+  if (!object) {
+    return null;
+  }
+  const values = {};
+  for (const key of keys) {
+    if (object.hasOwnProperty(key)) {
+      values[key] = object[key];
+    }
+  }
+  return values;
+}
+
+/**
+ * Format a value of a change, truncating the long texts.
+ */
+function formatValue(values, key) {
+  if (values === null) {
+    return '(none)';
+  }
+  if (!values.hasOwnProperty(key)) {
+    return '(unknown)';
+  }
+  const text = JSON.stringify(values[key]);
+  return text.length > 200 ? text.slice(0, 197) + '...' : text;
+}
+
 exports.TrelloClient = TrelloClient;
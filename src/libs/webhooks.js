@@ -0,0 +1,236 @@
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+/**
+ * Trello webhook listener.
+ *
+ * HTTP server receiving the Trello webhook notifications for the watched
+ * boards. The card events (moves, label changes, description edits etc.) are
+ * queued and passed to the handler one at a time. The pending events for the
+ * same card are coalesced (see `getEventKey`).
+ *
+ * Configuration:
+ *
+ * - callbackUrl: public URL of the listener, registered with Trello.
+ * - port: port to listen on (default: 8080).
+ * - host: host to listen on (default: all interfaces).
+ * - secret: Trello application secret used to verify the notifications.
+ * - maxBodySize: maximum size in bytes of the notifications (default: 1 MB).
+ *   The larger requests are rejected with a 413 response.
+ *
+ * @see https://developer.atlassian.com/cloud/trello/guides/rest-api/webhooks/
+ */
+function WebhookListener(config, logger, trelloClient, handler) {
+  this.config = config;
+  this.logger = logger;
+  this.trelloClient = trelloClient;
+  this.handler = handler;
+
+  this.server = null;
+
+  // Maximum size of the request bodies. The body is buffered before the
+  // signature can be checked so it must be capped.
+  this.maxBodySize = typeof config.maxBodySize === 'number' ? config.maxBodySize : 1048576;
+
+  // IDs of the members whose actions are ignored (ex: the connector itself, to
+  // avoid processing the changes it made).
+  this.ignoredMembers = new Set();
+
+  // Pending events keyed by card ID and promise of the queue processing.
+  this.pending = new Map();
+  this.processing = null;
+
+  // Types of the actions triggering a card sync.
+  this.actionTypes = [
+    'createCard',
+    'updateCard',
+    'addLabelToCard',
+    'removeLabelFromCard',
+    'addAttachmentToCard',
+    'deleteAttachmentFromCard',
+  ];
+
+  /**
+   * Start the HTTP server. Resolves to the port it listens on.
+   */
+  this.start = () => {
+    this.server = http.createServer((request, response) => {
+      const chunks = [];
+      let size = 0;
+
+      // Reject the request and close the connection without reading the
+      // rest of the body.
+      const reject = () => {
+        request.removeAllListeners('data');
+        request.removeAllListeners('end');
+        response.writeHead(413, {Connection: 'close'});
+        response.end(() => request.destroy());
+      };
+
+      if (parseInt(request.headers['content-length'], 10) > this.maxBodySize) {
+        reject();
+        return;
+      }
+
+      request.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject();
+        }
+        else {
+          chunks.push(chunk);
+        }
+      });
+      request.on('end', () => {
+        response.writeHead(this.handleRequest(request, Buffer.concat(chunks).toString('utf8')));
+        response.end();
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(typeof this.config.port === 'number' ? this.config.port : 8080, this.config.host, () => {
+        const port = this.server.address().port;
+        this.logger.info('Listening for webhook notifications on port ' + port);
+        resolve(port);
+      });
+    });
+  };
+
+  /**
+   * Stop the HTTP server and wait for the queued events to be processed.
+   */
+  this.stop = async () => {
+    if (this.server !== null) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    this.pending.clear();
+    if (this.processing !== null) {
+      await this.processing;
+    }
+  };
+
+  /**
+   * Handle a request. Returns the response status.
+   */
+  this.handleRequest = (request, body) => {
+    // Trello checks that the callback URL is reachable with a HEAD request
+    // when creating a webhook.
+    if (request.method === 'HEAD') {
+      return 200;
+    }
+    if (request.method !== 'POST') {
+      return 405;
+    }
+    if (!this.verify(body, request.headers['x-trello-webhook'])) {
+      this.logger.error('Invalid webhook notification signature');
+      return 401;
+    }
+
+    let notification;
+    try {
+      notification = JSON.parse(body);
+    }
+    catch (exception) {
+      return 400;
+    }
+
+    const action = notification.action || {};
+    const card = action.data && action.data.card ? action.data.card : null;
+    if (card && this.actionTypes.includes(action.type) && !this.ignoredMembers.has(action.idMemberCreator)) {
+      this.logger.debug('Received ' + action.type + ' notification for card ' + card.id);
+      this.enqueue({
+        type: action.type,
+        cardId: card.id,
+        boardId: notification.model ? notification.model.id : null,
+      });
+    }
+    return 200;
+  };
+
+  /**
+   * Verify the signature of a notification if the application secret is set.
+   */
+  this.verify = (body, signature) => {
+    if (!this.config.secret) {
+      return true;
+    }
+    if (typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha1', this.config.secret)
+    .update(body + this.config.callbackUrl)
+    .digest('base64'));
+    // Compare the byte lengths as the header may contain multibyte characters.
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  };
+
+  /**
+   * Get the key of an event. The pending events with the same key are
+   * coalesced. Defaults to the card ID.
+   */
+  this.getEventKey = event => {
+    return event.cardId || event.type;
+  };
+
+  /**
+   * Queue an event, replacing the pending event with the same key.
+   */
+  this.enqueue = event => {
+    this.pending.set(this.getEventKey(event), event);
+    if (this.processing === null) {
+      this.processing = this.processQueue().finally(() => {
+        this.processing = null;
+      });
+    }
+  };
+
+  /**
+   * Pass the queued events to the handler one at a time.
+   */
+  this.processQueue = async () => {
+    while (this.pending.size > 0) {
+      const [key, event] = this.pending.entries().next().value;
+      this.pending.delete(key);
+      try {
+        await this.handler(event);
+      }
+      catch (exception) {
+        this.logger.error('Unable to process the ' + event.type + ' event: ' + exception);
+      }
+    }
+  };
+
+  /**
+   * Register the webhooks for the given boards if not already registered.
+   */
+  this.register = async boardIds => {
+    const webhooks = await this.trelloClient.get('/tokens/' + this.trelloClient.config.token + '/webhooks');
+    const registered = new Set((webhooks || [])
+    .filter(webhook => webhook.callbackURL === this.config.callbackUrl)
+    .map(webhook => webhook.idModel));
+
+    for (const boardId of boardIds) {
+      if (registered.has(boardId)) {
+        this.logger.debug('Webhook already registered for board ' + boardId);
+        continue;
+      }
+      try {
+        await this.trelloClient.post('/webhooks', {
+          callbackURL: this.config.callbackUrl,
+          idModel: boardId,
+          description: 'rwint-trello ' + boardId,
+        });
+        this.logger.info('Registered webhook for board ' + boardId);
+      }
+      catch (exception) {
+        this.logger.error('Unable to register webhook for board ' + boardId + ': ' + exception);
+      }
+    }
+  };
+}
+
+exports.WebhookListener = WebhookListener;
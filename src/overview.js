@@ -1,3 +1,46 @@
+const RunSummary = require('./libs/summary.js').RunSummary;
+const schema = require('./libs/schema.js');
+const ManagedDescription = require('./libs/description.js').ManagedDescription;
+const completion = require('./libs/completion.js');
+
+// Heading of the project summary in the project card descriptions.
+const summaryHeader = 'Project Summary';
+
+// Pattern of the Trello card URLs, capturing the card short link.
+const cardUrlPattern = /trello\.com\/c\/([A-Za-z0-9]+)/;
+
+// Label added to the project cards with overdue actions.
+const overdueLabel = {name: 'Overdue Actions', color: 'red'};
+
+// Configuration schema.
+const configSchema = schema.connectorSchema({
+  rwapi: false,
+  trello: {
+    organization: {type: 'string', required: true},
+    projectPrefix: {type: 'string', required: true},
+    doerPrefix: {type: 'string', required: true},
+    excludedBoards: {type: 'array', items: {type: 'string'}},
+  },
+  properties: {
+    completion: completion.completionSchema(),
+    projectCards: {
+      type: 'object',
+      description: 'create the cards of the projects without card and deactivate the projects without remaining actions',
+      properties: {
+        list: {type: 'string', required: true, description: 'name of the list in which to create the project cards'},
+        inactiveList: {type: 'string', description: 'name of the list of the inactive project cards (default: archive them)'},
+      },
+    },
+  },
+});
+
+/**
+ * Validate the regular expressions of the completion rules.
+ */
+function validateConfig(config) {
+  return completion.validateCompletion(config.completion);
+}
+
 /**
  * Overview board manager.
  */
@@ -5,13 +48,30 @@ function OverviewManager(config, logger, trelloClient, date) {
   this.config = config;
   this.logger = logger;
   this.trelloClient = trelloClient;
+  this.date = date;
+
+  // Managed block of the project card descriptions.
+  this.description = new ManagedDescription(summaryHeader);
+
+  // Overview board label for the projects with overdue actions, created when
+  // needed.
+  this.overdueLabel = null;
+
+  // Overview board lists keyed by name, created when needed.
+  this.lists = new Map();
 
   this.overviewBoard = null;
   this.boards = [];
   this.projects = new Map();
 
+  // Action completion rules, set when preparing the data.
+  this.completion = null;
+
+  // Summary of the run.
+  this.summary = new RunSummary();
+
   /**
-   * Main process function.
+   * Main process function. Returns the run summary.
    */
   this.process = async () => {
     try {
@@ -19,10 +79,31 @@ function OverviewManager(config, logger, trelloClient, date) {
         this.prepare();
         await this.update();
       }
+      else {
+        throw 'Unable to retrieve the overview board';
+      }
     }
     catch (exception) {
       this.logger.error(exception);
+      this.summary.abort(exception);
     }
+    return this.summary;
+  };
+
+  /**
+   * Get the IDs of the boards to watch in webhook listener mode: the overview
+   * board and the monitored boards.
+   */
+  this.getWatchedBoards = () => {
+    return [this.config.trello.boardId, ...this.boards.map(board => board.id)];
+  };
+
+  /**
+   * Log and record a failure, keyed by card (see RunSummary).
+   */
+  this.fail = (key, message) => {
+    this.logger.error(message);
+    this.summary.fail(key, message);
   };
 
   /**
@@ -47,6 +128,18 @@ function OverviewManager(config, logger, trelloClient, date) {
     return '';
   };
 
+  /**
+   * Get the short link of the first Trello card URL in a text (ex: check item
+   * name) or null if there is none.
+   *
+   * The short link is the identifier of the action card and doesn't change
+   * when the card is renamed or moved to another board.
+   */
+  this.getCardToken = (text) => {
+    const match = cardUrlPattern.exec(text || '');
+    return match ? match[1] : null;
+  };
+
   /**
    * Compute an action name.
    */
@@ -62,6 +155,10 @@ function OverviewManager(config, logger, trelloClient, date) {
       action.status
     ];
 
+    if (action.inProgress) {
+      parts.push('*In progress*');
+    }
+
     if (action.due) {
       // Format: YYYY/MM/DD.
       parts.push('*' + action.due.substr(0, 10).replaceAll('-', '/') + '*');
@@ -71,9 +168,11 @@ function OverviewManager(config, logger, trelloClient, date) {
   };
 
   /**
-   * Get the projects actions for a card.
+   * Get the projects actions for a card, with the completion rules of its
+   * board.
    */
-  this.getActions = (card, list) => {
+  this.getActions = (card, list, rules) => {
+    const state = this.completion.getState(rules, card, list);
     let actions = new Map();
     let doers = [];
 
@@ -84,10 +183,12 @@ function OverviewManager(config, logger, trelloClient, date) {
         let projectName = this.getProjectName(label.name);
         if (projectName != '') {
           actions.set(projectName, {
+            key: card.shortLink || this.getCardToken(card.shortUrl),
             link: card.shortUrl,
             status: list,
             due: card.due,
-            complete: false,
+            complete: state === 'complete',
+            inProgress: state === 'inProgress',
           });
         }
 
@@ -98,14 +199,11 @@ function OverviewManager(config, logger, trelloClient, date) {
       }
     }
 
-    // Set action name and status.
+    // Set action doers and name.
     for (let action of actions.values()) {
       action.doers = doers;
       action.name = this.getActionName(action);
       this.logger.debug('Processing action ' + action.name);
-      if (list && list.toLowerCase().indexOf('done') != -1) {
-        action.complete = true;
-      }
     }
 
     return actions;
@@ -140,16 +238,26 @@ function OverviewManager(config, logger, trelloClient, date) {
    */
   this.prepare = () => {
     let projects = this.getProjects();
+    this.completion = new completion.CompletionRules(this.config.completion);
 
     for (const board of this.boards) {
+      const rules = this.completion.getBoardRules(board);
       let lists = {};
       for (const list of board.lists) {
         lists[list.id] = list.name;
       }
       for (const card of board.cards.values()) {
         this.logger.debug('Processing card ' + card.name);
-        let actions = this.getActions(card, lists[card.idList]);
+        let actions = this.getActions(card, lists[card.idList], rules);
         for (const [name, action] of actions) {
+          // Track the projects without card, which is created when updating
+          // the board.
+          if (!projects.has(name) && this.config.projectCards) {
+            projects.set(name, {
+              card: null,
+              actions: new Map(),
+            });
+          }
           if (projects.has(name)) {
             if (!projects.get(name).actions.has(board.name)) {
               projects.get(name).actions.set(board.name, new Map());
@@ -161,10 +269,280 @@ function OverviewManager(config, logger, trelloClient, date) {
     }
   };
 
+  /**
+   * Check if an action is past due.
+   */
+  this.isOverdue = (action) => {
+    return Boolean(action.due) && !action.complete && new Date(action.due).valueOf() < this.date.valueOf();
+  };
+
+  /**
+   * Compute the progress of a project: actions done versus total, per board
+   * and per doer, and the overdue actions.
+   */
+  this.getProjectSummary = (project) => {
+    const summary = {
+      done: 0,
+      total: 0,
+      boards: new Map(),
+      doers: new Map(),
+      unassigned: {done: 0, total: 0},
+      overdue: [],
+    };
+
+    const count = (counts, action) => {
+      counts.total++;
+      if (action.complete) {
+        counts.done++;
+      }
+    };
+
+    for (const [boardName, actions] of project.actions) {
+      const board = {done: 0, total: 0};
+      for (const action of actions.values()) {
+        count(summary, action);
+        count(board, action);
+        if (action.doers.length === 0) {
+          count(summary.unassigned, action);
+        }
+        for (const doer of action.doers) {
+          if (!summary.doers.has(doer)) {
+            summary.doers.set(doer, {done: 0, total: 0});
+          }
+          count(summary.doers.get(doer), action);
+        }
+        if (this.isOverdue(action)) {
+          summary.overdue.push(action);
+        }
+      }
+      summary.boards.set(boardName, board);
+    }
+
+    return summary;
+  };
+
+  /**
+   * Generate the project summary block of a project card description.
+   */
+  this.getSummaryText = (summary) => {
+    const format = counts => counts.done + '/' + counts.total;
+
+    let text = '# ' + summaryHeader + '\n\n';
+    if (summary.total === 0) {
+      return text + 'No actions.';
+    }
+    text += 'Actions done: **' + format(summary) + '** (' + Math.round((summary.done * 100) / summary.total) + '%)\n\n';
+
+    text += '## Boards\n\n';
+    for (const [boardName, board] of summary.boards) {
+      text += '- ' + boardName + ': ' + format(board) + '\n';
+    }
+
+    text += '\n## Overdue Actions\n\n';
+    if (summary.overdue.length > 0) {
+      for (const action of summary.overdue) {
+        text += '- ' + action.name + '\n';
+      }
+    }
+    else {
+      text += '*None*\n';
+    }
+
+    text += '\n## Doers\n\n';
+    for (const doer of Array.from(summary.doers.keys()).sort()) {
+      text += '- ' + doer + ': ' + format(summary.doers.get(doer)) + '\n';
+    }
+    if (summary.unassigned.total > 0) {
+      text += '- *Not assigned*: ' + format(summary.unassigned) + '\n';
+    }
+
+    return text.trim();
+  };
+
+  /**
+   * Update the project summary block of a project card description.
+   *
+   * Returns true if the description was changed.
+   */
+  this.updateDescription = async (card, summary) => {
+    const parts = this.description.parse(card.desc);
+    const content = this.getSummaryText(summary);
+    if (parts.content === content) {
+      return false;
+    }
+
+    try {
+      await this.trelloClient.put('/cards/' + card.id, {
+        desc: this.description.build(content, parts),
+      });
+      this.logger.debug('Updated the summary of card ' + card.name);
+      return true;
+    }
+    catch (exception) {
+      this.fail(card.id, 'Unable to update the summary of card ' + card.name);
+      return false;
+    }
+  };
+
+  /**
+   * Get the overdue label, creating it if it doesn't exist.
+   */
+  this.getOverdueLabel = async () => {
+    if (this.overdueLabel === null) {
+      this.overdueLabel = (this.overviewBoard.labels || []).find(label => label.name === overdueLabel.name) || null;
+    }
+    if (this.overdueLabel === null) {
+      this.overdueLabel = await this.trelloClient.post('/labels', {
+        name: overdueLabel.name,
+        color: overdueLabel.color,
+        idBoard: this.config.trello.boardId,
+      });
+      this.logger.info('Created label: ' + overdueLabel.name);
+    }
+    return this.overdueLabel;
+  };
+
+  /**
+   * Add or remove the overdue label of a project card.
+   *
+   * Returns true if the labels were changed.
+   */
+  this.updateOverdueLabel = async (card, summary) => {
+    const current = (card.labels || []).find(label => label.name === overdueLabel.name);
+    try {
+      if (summary.overdue.length > 0 && !current) {
+        const label = await this.getOverdueLabel();
+        await this.trelloClient.post('/cards/' + card.id + '/idLabels', {
+          value: label.id,
+        });
+        this.logger.debug('Added label ' + overdueLabel.name + ' for card ' + card.name);
+        return true;
+      }
+      else if (summary.overdue.length === 0 && current) {
+        await this.trelloClient.delete('/cards/' + card.id + '/idLabels/' + current.id);
+        this.logger.debug('Removed label ' + overdueLabel.name + ' for card ' + card.name);
+        return true;
+      }
+    }
+    catch (exception) {
+      this.fail(card.id, 'Unable to update label ' + overdueLabel.name + ' for card ' + card.name + ': ' + exception);
+    }
+    return false;
+  };
+
+  /**
+   * Get an overview board list by name, creating it if it doesn't exist.
+   */
+  this.getList = async (name) => {
+    if (!this.lists.has(name)) {
+      let list = (this.overviewBoard.lists || []).find(list => list.name === name);
+      if (!list) {
+        list = await this.trelloClient.post('/lists', {
+          name: name,
+          idBoard: this.config.trello.boardId,
+        });
+        if (!list) {
+          throw 'Unable to create list: ' + name;
+        }
+        this.logger.info('Created list: ' + name);
+      }
+      this.lists.set(name, list);
+    }
+    return this.lists.get(name);
+  };
+
+  /**
+   * Create the card of a project found in the action labels.
+   *
+   * Returns the card or null if it couldn't be created.
+   */
+  this.createProjectCard = async (projectName) => {
+    const labelName = this.config.trello.projectPrefix + projectName;
+    try {
+      const list = await this.getList(this.config.projectCards.list);
+
+      let label = (this.overviewBoard.labels || []).find(label => label.name === labelName);
+      if (!label) {
+        label = await this.trelloClient.post('/labels', {
+          name: labelName,
+          color: '',
+          idBoard: this.config.trello.boardId,
+        });
+        this.logger.info('Created label: ' + labelName);
+      }
+
+      const card = await this.trelloClient.post('/cards', {
+        name: projectName,
+        idList: list.id,
+        idLabels: label.id,
+      });
+      this.logger.info('Created card for project ' + projectName);
+
+      return Object.assign({desc: '', checklists: []}, card, {
+        idList: list.id,
+        labels: [label],
+      });
+    }
+    catch (exception) {
+      this.fail(projectName, 'Unable to create card for project ' + projectName + ': ' + exception);
+      return null;
+    }
+  };
+
+  /**
+   * Move the card of a project without remaining actions to the inactive list
+   * or archive it, and move back the card of a reactivated project. The cards
+   * of the projects without actions yet (ex: just created) are left as is.
+   *
+   * Returns `archived` or `moved` if the card was changed, an empty string
+   * otherwise.
+   */
+  this.updateProjectStatus = async (card, summary) => {
+    if (summary.total === 0) {
+      return '';
+    }
+
+    const inactiveList = this.config.projectCards.inactiveList;
+    try {
+      if (summary.done < summary.total) {
+        const inactive = inactiveList ? this.lists.get(inactiveList) || (this.overviewBoard.lists || []).find(list => list.name === inactiveList) : null;
+        if (inactive && card.idList === inactive.id) {
+          const list = await this.getList(this.config.projectCards.list);
+          await this.trelloClient.put('/cards/' + card.id, {
+            idList: list.id,
+          });
+          this.logger.info('Moved card of reactivated project ' + card.name + ' to list ' + list.name);
+          return 'moved';
+        }
+      }
+      else if (inactiveList) {
+        const list = await this.getList(inactiveList);
+        if (card.idList !== list.id) {
+          await this.trelloClient.put('/cards/' + card.id, {
+            idList: list.id,
+          });
+          this.logger.info('Moved card of inactive project ' + card.name + ' to list ' + list.name);
+          return 'moved';
+        }
+      }
+      else {
+        await this.trelloClient.put('/cards/' + card.id, {
+          closed: 'true',
+        });
+        this.logger.info('Archived card of inactive project ' + card.name);
+        return 'archived';
+      }
+    }
+    catch (exception) {
+      this.fail(card.id, 'Unable to update the status of card ' + card.name + ': ' + exception);
+    }
+    return '';
+  };
+
   /**
    * Add an action checklist item.
    */
-  this.addCheckItem = async (checklistId, action) => {
+  this.addCheckItem = async (cardId, checklistId, action) => {
     try {
       await this.trelloClient.post('/checklists/' + checklistId + '/checkItems', {
         name: action.name,
@@ -173,7 +551,7 @@ function OverviewManager(config, logger, trelloClient, date) {
       this.logger.debug('Added checkitem ' + action.name);
     }
     catch (exception) {
-      this.logger.error('Unable to add checkitem ' + action.name + ' to list ' + checklistId);
+      this.fail(cardId, 'Unable to add checkitem ' + action.name + ' to list ' + checklistId);
     }
   };
 
@@ -191,14 +569,14 @@ function OverviewManager(config, logger, trelloClient, date) {
       this.logger.debug('Updated checkitem ' + id);
     }
     catch (exception) {
-      this.logger.error('Unable to update checkitem ' + id);
+      this.fail(cardId, 'Unable to update checkitem ' + id);
     }
   };
 
   /**
    * Delete an action checklist item.
    */
-  this.deleteCheckItem = async (checklistId, id) => {
+  this.deleteCheckItem = async (cardId, checklistId, id) => {
     try {
       await this.trelloClient.delete('/checklists/' + checklistId + '/checkItems/' + id, {
         idCheckItem: id,
@@ -206,7 +584,7 @@ function OverviewManager(config, logger, trelloClient, date) {
       this.logger.debug('Deleted checkitem ' + id);
     }
     catch (exception) {
-      this.logger.error('Unable to delete checkitem ' + id);
+      this.fail(cardId, 'Unable to delete checkitem ' + id);
     }
   };
 
@@ -224,69 +602,76 @@ function OverviewManager(config, logger, trelloClient, date) {
       // Add all actions.
       for (const action of actions.values()) {
         this.logger.debug('Processing action ' + action.name);
-        await this.addCheckItem(checklist.id, action);
+        await this.addCheckItem(cardId, checklist.id, action);
       }
     }
     catch (exception) {
-      this.logger.error('Unable to add checklist ' + name + ' to card ' + cardId);
+      this.fail(cardId, 'Unable to add checklist ' + name + ' to card ' + cardId);
     }
   };
 
   /**
    * Update board checklist: add, update or remove actions.
+   *
+   * Returns true if the checklist was changed.
    */
   this.updateChecklist = async (cardId, checklist, actions) => {
+    let changed = false;
     let items = new Map();
-    // Map the actions with their link which acts as identifier. It's indeed
-    // the constant part of the checklist items.
+    // Map the actions with the short link of their card which acts as
+    // identifier. It's the part of the checklist items that doesn't change
+    // when the card is renamed, moved or the item text edited.
     // @see getActionName().
     for (const action of actions.values()) {
       this.logger.debug('Processing action ' + action.link);
-      items.set(action.link, action);
+      items.set(action.key, action);
     }
 
     for (const checkitem of checklist.checkItems) {
-      // Extract the card shortURL (action link) from the check item name.
-      // @see getActionName().
-      const link = checkitem.name.substring(0, 29);
+      // Extract the card short link from the check item name.
+      const key = this.getCardToken(checkitem.name);
 
       // Update the check list item if the corresponding action has changed.
-      if (items.has(link)) {
-        let action = items.get(link);
+      if (key !== null && items.has(key)) {
+        let action = items.get(key);
 
-        // Update if name changed.
-        if (action.name != checkitem.name) {
+        // Update if the name or the state changed.
+        if (action.name != checkitem.name || (checkitem.state === 'complete') !== action.complete) {
           await this.updateCheckItem(cardId, checklist.id, checkitem.id, action);
-          items.delete(link);
+          changed = true;
         }
 
         // Remove the action from the list so it's not processed when adding
-        // new actions below.
-        items.delete(link);
+        // new actions below and the duplicate items are removed.
+        items.delete(key);
       }
       // Otherwise, if there is no corresponding action, remove the item.
       else {
-        await this.deleteCheckItem(checklist.id, checkitem.id);
+        await this.deleteCheckItem(cardId, checklist.id, checkitem.id);
+        changed = true;
       }
     }
 
     // Add new actions.
     for (const action of items.values()) {
       this.logger.debug('Processing action ' + action.name);
-      await this.addCheckItem(checklist.id, action);
+      await this.addCheckItem(cardId, checklist.id, action);
+      changed = true;
     }
+
+    return changed;
   };
 
   /**
    * Delete a board checklist.
    */
-  this.deleteChecklist = async (id) => {
+  this.deleteChecklist = async (cardId, id) => {
     try {
       await this.trelloClient.delete('/checklists/' + id);
       this.logger.debug('Deleted checklist ' + id);
     }
     catch (exception) {
-      this.logger.error('Unable to delete checklist ' + id);
+      this.fail(cardId, 'Unable to delete checklist ' + id);
     }
   };
 
@@ -301,25 +686,74 @@ function OverviewManager(config, logger, trelloClient, date) {
 
     for (const [projectId, project] of this.projects) {
       this.logger.debug('Updating project ' + projectId);
+
+      // Summarize the actions before they are consumed by the checklist
+      // updates below.
+      const summary = this.getProjectSummary(project);
+
+      // Create the cards of the projects found in the action labels, unless
+      // there are no remaining actions.
+      const created = project.card === null;
+      if (created) {
+        if (summary.done === summary.total) {
+          continue;
+        }
+        project.card = await this.createProjectCard(projectId);
+        if (project.card === null) {
+          continue;
+        }
+      }
+
       let card = project.card;
+      let changed = false;
+
       for (const checklist of card.checklists) {
         if (boards.has(checklist.name)) {
           let actions = project.actions.get(checklist.name);
           if (actions) {
-            await this.updateChecklist(card.id, checklist, actions);
+            if (await this.updateChecklist(card.id, checklist, actions)) {
+              changed = true;
+            }
             project.actions.delete(checklist.name);
           }
           else {
-            await this.deleteChecklist(checklist.id);
+            await this.deleteChecklist(card.id, checklist.id);
+            changed = true;
           }
         }
         else {
-          await this.deleteChecklist(checklist.id);
+          await this.deleteChecklist(card.id, checklist.id);
+          changed = true;
         }
       }
 
       for (const [checklistName, actions] of project.actions) {
         await this.addChecklist(card.id, checklistName, actions);
+        changed = true;
+      }
+
+      if (await this.updateDescription(card, summary)) {
+        changed = true;
+      }
+      if (await this.updateOverdueLabel(card, summary)) {
+        changed = true;
+      }
+      const status = this.config.projectCards ? await this.updateProjectStatus(card, summary) : '';
+
+      if (this.summary.failures.has(card.id)) {
+        this.logger.debug('Failed to fully update card ' + card.name);
+      }
+      else if (status === 'archived') {
+        this.summary.archived++;
+      }
+      else if (created) {
+        this.summary.created++;
+      }
+      else if (changed || status === 'moved') {
+        this.summary.updated++;
+      }
+      else {
+        this.summary.unchanged++;
       }
     }
   };
@@ -330,7 +764,7 @@ function OverviewManager(config, logger, trelloClient, date) {
   this.getBoardData = async (board, checklists) => {
     const data = {
       filter: 'open',
-      fields: 'name,shortUrl,labels,idList,due',
+      fields: 'name,desc,shortUrl,labels,idList,due,dueComplete',
     };
 
     if (checklists) {
@@ -348,7 +782,7 @@ function OverviewManager(config, logger, trelloClient, date) {
       this.logger.debug('Loaded board ' + board.id);
     }
     catch (exception) {
-      this.logger.error('Unable to load board ' + board.id);
+      this.fail(board.id, 'Unable to load board ' + board.id);
     }
   };
 
@@ -360,6 +794,7 @@ function OverviewManager(config, logger, trelloClient, date) {
     const board = await this.trelloClient.get('/boards/' + this.config.trello.boardId, {
       fields: 'id,name',
       lists: 'open',
+      labels: 'all',
     });
 
     await this.getBoardData(board, true);
@@ -371,7 +806,7 @@ function OverviewManager(config, logger, trelloClient, date) {
    */
   this.getBoards = async () => {
     // Retrieve the overview board.
-    this.getOverviewBoard();
+    await this.getOverviewBoard();
 
     // Retrieve the organization boards.
     const boards = await this.trelloClient.get('/organizations/' + this.config.trello.organization + '/boards', {
@@ -397,18 +832,13 @@ function OverviewManager(config, logger, trelloClient, date) {
 
 }
 
-/**
- * Execute logic.
- */
-const config = require(process.env.CONFIG);
+exports.OverviewManager = OverviewManager;
+exports.configSchema = configSchema;
+exports.validateConfig = validateConfig;
 
-const Logger = require('./libs/logger.js').Logger;
-const logger = new Logger(config.debug);
-
-const TrelloClient = require('./libs/trello.js').TrelloClient;
-const trelloClient = new TrelloClient(config.trello, logger);
-
-const DateWrapper = require('./libs/date.js').DateWrapper;
-
-const manager = new OverviewManager(config, logger, trelloClient, new DateWrapper());
-manager.process();
+// Direct execution (see cli.js).
+if (require.main === module) {
+  require('./cli.js').main(['overview', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -1,5 +1,38 @@
+const BoardSyncManager = require('./libs/sync.js').BoardSyncManager;
+const parseSections = require('./libs/description.js').parseSections;
+const schema = require('./libs/schema.js');
+const members = require('./libs/members.js');
+const diff = require('./libs/diff.js');
+const staleness = require('./libs/staleness.js');
+
+// Default staleness rules.
+const defaultStaleness = [
+  {label: 'Last Update > 2 Months', color: 'red', days: 60, field: 'lastUpdate'},
+  {label: 'Last Update > 1 Month', color: 'orange', days: 30, field: 'lastUpdate'},
+  {label: 'Last Update > 1 Week', color: 'yellow', days: 7, field: 'lastUpdate'},
+];
+
+// Configuration schema.
+const configSchema = schema.connectorSchema({
+  properties: {
+    labels: schema.labelsSchema,
+    lists: Object.assign({required: true}, schema.listsSchema),
+    stateFile: schema.stateFileSchema,
+    customFields: schema.customFieldsSchema,
+    diffComments: schema.diffCommentsSchema,
+    members: members.membersSchema({
+      themes: 'theme name',
+      types: 'disaster type name',
+    }),
+    staleness: staleness.stalenessSchema(['lastUpdate']),
+    dueDate: staleness.dueDateSchema(['lastUpdate']),
+  },
+});
+
 /**
  * Topic board manager.
+ *
+ * Adapter for the board sync manager, using the ReliefWeb topics as entities.
  */
 function TopicManager(config, logger, trelloClient, rwapiClient, date) {
   this.config = config;
@@ -8,48 +41,65 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
   this.rwapiClient = rwapiClient;
   this.date = date;
 
-  this.board = null;
-  this.topics = null;
-
-  this.lists = new Map();
-  this.labels = new Map();
-
   // Constants.
-  this.maxIndex = 10000000;
   this.urlPattern = /^https?:\/\/reliefweb\.int\/node\/\d+$/;
   this.lastUpdateHeader = '# Last Update\n\n';
   this.introductionHeader = '\n\n# Introduction\n\n';
+  this.descriptionHeader = 'Last Update';
+  this.sections = ['Last Update', 'Introduction'];
+
+  // Card management (see BoardSyncManager): only the open topic cards are
+  // synced and renamed, the cards archived by the editors stay archived and
+  // the cards of the topics not returned anymore are kept.
+  this.cardFilter = 'open';
+  this.unarchiveCards = false;
+  this.archiveCards = false;
+  this.renameCards = true;
+  this.moveAllCards = false;
+
+  // Store the last update date in a custom field instead of the description.
+  this.useCustomFields = config.customFields === true;
+  this.customFields = [
+    {key: 'lastUpdate', name: 'Last Update', type: 'date'},
+  ];
   this.lastUpdateFormat = 'D MMM YYYY hh:mm:ss UTC';
   this.resourcePattern = /<a[^>]*href="([^"]+)"[^>]*>([^<]+)</g;
 
-  // @todo retrieve the string from the config?
-  this.lastUpdateOlderThan2Months = 'Last Update > 2 Months';
-  this.lastUpdateOlderThan1Month = 'Last Update > 1 Month';
-  this.lastUpdateOlderThan1Week = 'Last Update > 1 Week';
+  // Trello members responsible for the topic themes and disaster types.
+  this.members = new members.MemberMapping(config.members);
 
-  // Map of the positions of the status lists to help sorting the topics.
-  this.statusPositions = new Map(this.config.lists.map(item => [item.status, item.position]));
+  // Warning labels based on the last update date.
+  this.staleness = new staleness.StalenessRules(config.staleness || defaultStaleness);
+
+  // Board sync manager.
+  this.sync = new BoardSyncManager(config, logger, trelloClient, this);
 
   /**
-   * Main process function.
+   * Main process function. Returns the run summary.
    */
   this.process = async () => {
-    try {
-      await this.getTopics();
-      await this.getBoard();
-      await this.prepareLists();
-      await this.prepareLabels();
-      await this.updateBoard();
-    }
-    catch (exception) {
-      this.logger.error(exception);
-    }
+    return this.sync.process();
+  };
+
+  /**
+   * Synchronize a single card (webhook listener mode). Returns true if the
+   * card changed.
+   */
+  this.syncCard = async cardId => {
+    return this.sync.syncCard(cardId);
+  };
+
+  /**
+   * Get the IDs of the boards to watch in webhook listener mode.
+   */
+  this.getWatchedBoards = () => {
+    return [this.config.trello.boardId];
   };
 
   /**
    * Retrieve the ReliefWeb topics.
    */
-  this.getTopics = async () => {
+  this.getEntities = async () => {
     const data = {
       fields: {
         include: [
@@ -66,7 +116,6 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
           'theme.name',
         ],
       },
-      limit: 1000,
       filter: {
         field: 'status',
         value: this.config.lists.map(item => item.status),
@@ -74,24 +123,13 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
       sort: ['id:desc'],
     };
 
-    const result = await this.rwapiClient.fetch('/topics', data);
+    const result = await this.rwapiClient.fetchAll('/topics', data);
     if (!result || !result.data) {
       throw 'Unable to retrieve the ReliefWeb topics';
     }
 
-    if (result.data.length > 0) {
-      // Prepare the topic data.
-      const topics = result.data.map(item => this.prepareTopic(item.fields));
-
-      // Sort the topics.
-      this.sortTopics(topics);
-
-      // Store the topics.
-      this.topics = topics;
-    }
-    else {
-      this.topics = [];
-    }
+    // Prepare the topic data.
+    return result.data.map(item => this.prepareTopic(item.fields));
   };
 
   /**
@@ -113,9 +151,6 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
       topic.introduction = '';
     }
 
-    // Position of the status list to help sort the topics.
-    topic.statusPosition = this.statusPositions.get(topic.status) || 0;
-
     // Get the last update (changed date).
     topic.lastUpdate = this.date.clone(topic.date.changed).format(this.lastUpdateFormat);
 
@@ -164,182 +199,68 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
   };
 
   /**
-   * Sort the topics by status list position asc and ID desc.
+   * Get the URL identifying a topic card.
    */
-  this.sortTopics = topics => {
-    topics.sort((a, b) => {
-      if (a.pos === b.pos) {
-        if (a.id < b.id) {
-          return 1;
-        }
-        else if (a.id > b.id) {
-          return -1;
-        }
-        return 0;
-      }
-      else if (a.pos < b.pos) {
-        return -1;
-      }
-      return 1;
-    });
+  this.getKey = topic => {
+    return topic.url;
   };
 
   /**
-   * Get the board's cards.
+   * Get the name of a topic card.
    */
-  this.getCards = async board => {
-    const data = {
-      fields: 'name,labels,idList,desc,closed,pos',
-      attachments: 'true',
-      attachment_fields: 'url',
-      checklists: 'all',
-      checklist_fields: 'name,pos',
-    };
-
-    try {
-      const cards = await this.trelloClient.get('/boards/' + board.id + '/cards', data);
-      board.cards = new Map();
-      for (const cardId in cards) {
-        if (cards.hasOwnProperty(cardId)) {
-          board.cards.set(cards[cardId].id, cards[cardId]);
-        }
-      }
-      this.logger.debug('Loaded cards of board ' + board.id);
-    }
-    catch (exception) {
-      this.logger.error('Unable to load cards of board ' + board.id);
-    }
+  this.getName = topic => {
+    return topic.title;
   };
 
   /**
-   * Retrieve the Trello board data.
+   * Get the status of a topic.
    */
-  this.getBoard = async () => {
-    const data = {
-      labels: 'all',
-      label_fields: 'name,color',
-      labels_limit: 1000,
-      lists: 'open',
-      list_fields: 'name,closed',
-      fields: 'name',
-    };
-
-    const result = await this.trelloClient.get('/boards/' + this.config.trello.boardId, data);
-    if (!result) {
-      throw 'Unable to retrieve the Trello board data';
-    }
-
-    this.board = result;
-
-    await this.getCards(this.board);
+  this.getStatus = topic => {
+    return topic.status;
   };
 
   /**
-   * Retrieve, and create if necessary, the board lists.
+   * Get the disaster type and theme labels.
    */
-  this.prepareLists = async () => {
-    const boardLists = new Map();
-
-    // Retrieve existing board lists.
-    for (const list of this.board.lists) {
-      boardLists.set(list.name, list);
-    }
-
-    // Set the manager lists, creating non existing ones.
-    for (const item of this.config.lists) {
-      if (boardLists.has(item.name)) {
-        this.lists.set(item.status, boardLists.get(item.name));
-      }
-      else {
-        const list = await this.trelloClient.post('/lists', {
-          name: item.name,
-          pos: item.position,
-          idBoard: this.config.trello.boardId,
-        });
-        if (!list) {
-          throw 'Unable to create list: ' + item.name;
-        }
-        else {
-          this.lists.set(item.status, list);
-          this.logger.info('Created list: ' + item.name);
-        }
-      }
-    }
+  this.getLabelNames = topic => {
+    return [
+      ...(topic.disaster_type || []).map(item => item.name),
+      ...(topic.theme || []).map(item => item.name),
+    ];
   };
 
   /**
-   * Retrieve, and create if necessary, the board labels.
+   * Get the usernames of the members responsible for a topic.
    */
-  this.prepareLabels = async () => {
-    const labels = new Map();
-    const boardLabels = new Map();
-
-    // Retrieve existing board labels.
-    for (const label of this.board.labels) {
-      if (label.name !== '') {
-        boardLabels.set(label.name, label);
-      }
-    }
-
-    // Get the configuration labels.
-    for (const name in this.config.labels) {
-      if (this.config.labels.hasOwnProperty(name)) {
-        labels.set(name, this.config.labels[name]);
-      }
-    }
-
-    // Get the disaster type, and theme from the topics.
-    // Those are colorless labels.
-    for (const topic of this.topics) {
-      if (topic.disaster_type) {
-        for (const item of topic.disaster_type) {
-          labels.set(item.name, '');
-        }
-      }
-      if (topic.theme) {
-        for (const item of topic.theme) {
-          labels.set(item.name, '');
-        }
-      }
-    }
+  this.getMembers = topic => {
+    return [
+      ...this.members.getUsernames('themes', (topic.theme || []).map(item => item.name)),
+      ...this.members.getUsernames('types', (topic.disaster_type || []).map(item => item.name)),
+    ];
+  };
 
-    // Set the manager labels, creating non existing ones.
-    for (const [name, color] of labels) {
-      if (boardLabels.has(name)) {
-        this.labels.set(name, boardLabels.get(name));
-      }
-      else {
-        const label = await this.trelloClient.post('/labels', {
-          name: name,
-          color: color,
-          idBoard: this.config.trello.boardId,
-        });
-        if (!label) {
-          throw 'Unable to create label: ' + name;
-        }
-        else {
-          this.labels.set(name, label);
-          this.logger.info('Created label: ' + name);
-        }
-      }
-    }
+  /**
+   * Get the rivers, sections and resources checklists of a topic.
+   */
+  this.getChecklists = topic => {
+    return topic.checklists;
   };
 
   /**
-   * Extract the profile and glide sections from the card description.
+   * Extract the last update and introduction from the card description.
    */
   this.prepareCard = card => {
-    if (card.desc !== '') {
-      const i1 = card.desc.lastIndexOf(this.lastUpdateHeader);
-      const i2 = card.desc.lastIndexOf(this.introductionHeader);
-
-      const l1 = this.lastUpdateHeader.length;
-      const l2 = this.introductionHeader.length;
+    const content = card.parts.content;
+    if (content) {
+      const {sections, missing} = parseSections(content, this.sections);
+      card.lastUpdate = sections.get('Last Update');
+      card.introduction = sections.get('Introduction');
+      card.missingSections = missing;
 
-      if (i1 !== -1 && i2 !== -1) {
-        card.lastUpdate = card.desc.substring(i1 + l1, i2);
-        card.introduction = card.desc.substring(i2 + l2);
-        card.desc = card.desc.substring(0, i1);
+      // Only the introduction is in the description in custom fields mode.
+      if (this.useCustomFields) {
+        card.missingSections = missing.filter(heading => heading === 'Introduction');
+        card.legacy = sections.has('Last Update');
       }
     }
     return card;
@@ -348,73 +269,43 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
   /**
    * Get the labels for a topic.
    */
-  this.getTopicLabels = topic => {
-    const labels = new Map();
-
+  this.getLabels = topic => {
     // Disaster types and themes.
-    if (topic.disaster_type) {
-      for (const item of topic.disaster_type) {
-        const label = this.labels.get(item.name);
-        if (label) {
-          labels.set(item.name, label.id);
-        }
-      }
-    }
-    if (topic.theme) {
-      for (const item of topic.theme) {
-        const label = this.labels.get(item.name);
-        if (label) {
-          labels.set(item.name, label.id);
-        }
-      }
-    }
+    const labels = this.getLabelNames(topic);
 
     // Featured label.
     if (topic.featured === true) {
-      const label = this.labels.get('Featured');
-      if (label) {
-        labels.set(label.name, label.id);
-      }
+      labels.push('Featured');
     }
 
     // Status label.
-    const label = this.labels.get(this.lists.get(topic.status).name);
-    if (label) {
-      labels.set(label.name, label.id);
+    const list = this.config.lists.find(item => item.status === topic.status);
+    if (list) {
+      labels.push(list.name);
     }
 
-    // Get the number of days since the last update.
-    const days = this.date.diffDays(topic.date.changed);
-
     // Last update.
-    if (days > 60) {
-      const label = this.labels.get(this.lastUpdateOlderThan2Months);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (days > 30) {
-      const label = this.labels.get(this.lastUpdateOlderThan1Month);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
-    else if (days > 7) {
-      const label = this.labels.get(this.lastUpdateOlderThan1Week);
-      if (label) {
-        labels.set(label.name, label.id);
-      }
-    }
+    labels.push(...this.staleness.getLabels('lastUpdate', this.date.diffDays(topic.date.changed)));
 
     return labels;
   };
 
+  /**
+   * Get the colors of the staleness labels.
+   */
+  this.getLabelColors = () => {
+    return this.staleness.getLabelColors();
+  };
+
   /**
    * Generate a card's description.
    */
-  this.generateCardDescription = (description, updateDate, introduction) => {
+  this.generateCardDescription = (updateDate, introduction) => {
+    if (this.useCustomFields) {
+      return this.introductionHeader.trimStart() + (introduction || '');
+    }
+
     return [
-      description,
       this.lastUpdateHeader,
       updateDate,
       this.introductionHeader,
@@ -423,377 +314,59 @@ function TopicManager(config, logger, trelloClient, rwapiClient, date) {
   };
 
   /**
-   * Update a card's labels.
+   * Get the custom field values of a topic card.
    */
-  this.updateCardLabels = async (card, topic) => {
-    let changed = false;
-
-    // Topic labels.
-    const labels = this.getTopicLabels(topic);
-
-    // Remove old labels but only topic and config ones so that editors
-    // can add custom labels.
-    for (const label of card.labels) {
-      if (!labels.has(label.name)) {
-        if (this.labels.has(label.name)) {
-          try {
-            await this.trelloClient.delete('/cards/' + card.id + '/idLabels/' + label.id);
-            this.logger.debug('Removed old label ' + label.name + ' for card ' + card.name);
-            changed = true;
-          }
-          catch (exception) {
-            this.logger.error('Unable to remove old label ' + label.name + ' for card ' + card.name);
-          }
-        }
-      }
-      else {
-        labels.delete(label.name);
-      }
-    }
-
-    // Add new labels.
-    for (const [name, id] of labels) {
-      try {
-        await this.trelloClient.post('/cards/' + card.id + '/idLabels', {
-          value: id,
-        });
-        this.logger.debug('Added new label ' + name + ' for card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to add label ' + name + ' for card ' + card.name + ': ' + exception);
-      }
-    }
-
-    return changed;
-  };
-
-
-  /**
-   * Add a checklist item.
-   */
-  this.addCheckItem = async (checklistId, item) => {
-    try {
-      await this.trelloClient.post('/checklists/' + checklistId + '/checkItems', {
-        name: item.name,
-        pos: item.position,
-      });
-      this.logger.debug('Added checklist item ' + item.url);
-    }
-    catch (exception) {
-      this.logger.error('Unable to add checklist item ' + item.url + ' to list ' + checklistId);
-    }
-  };
-
-  /**
-   * Update a checklist item.
-   */
-  this.updateCheckItem = async (cardId, checklistId, id, item) => {
-    try {
-      await this.trelloClient.put('/cards/' + cardId + '/checklist/' + checklistId + '/checkItem/' + id, {
-        idChecklistCurrent: checklistId,
-        idCheckItem: id,
-        name: item.name,
-        pos: item.position,
-      });
-      this.logger.debug('Updated checklist item ' + id);
-    }
-    catch (exception) {
-      this.logger.error('Unable to update checklist item ' + id);
-    }
-  };
-
-  /**
-   * Delete a checklist item.
-   */
-  this.deleteCheckItem = async (checklistId, id) => {
-    try {
-      await this.trelloClient.delete('/checklists/' + checklistId + '/checkItems/' + id, {
-        idCheckItem: id,
-      });
-      this.logger.debug('Deleted checklist item ' + id);
-    }
-    catch (exception) {
-      this.logger.error('Unable to delete checklist item ' + id);
-    }
-  };
-
-  /**
-   * Add a checklist.
-   */
-  this.addChecklist = async (cardId, name, items) => {
-    try {
-      const checklist = await this.trelloClient.post('/cards/' + cardId + '/checklists', {
-        name: name,
-      });
-      this.logger.debug('Added checklist ' + name);
-
-      // Add all check lis titems.
-      for (const item of items.values()) {
-        this.logger.debug('Adding checklist item ' + item.url);
-        await this.addCheckItem(checklist.id, item);
-      }
-    }
-    catch (exception) {
-      this.logger.error('Unable to add checklist ' + name + ' to card ' + cardId);
-    }
-  };
-
-  /**
-   * Update achecklist: add, update or remove items.
-   */
-  this.updateChecklist = async (cardId, checklist, items) => {
-    let changed = false;
-
-    // Update or delete exisiting items.
-    for (const checkitem of checklist.checkItems) {
-      if (checkitem.name.indexOf('](') > 0) {
-        const parts = checkitem.name.split('](');
-        const title = parts[0].slice(1);
-        const url = parts[1].slice(0, -1);
-
-        if (items.has(url)) {
-          let item = items.get(url);
-
-          // Update if title changed.
-          if (item.title != title || item.position != checkitem.pos) {
-            await this.updateCheckItem(cardId, checklist.id, checkitem.id, item);
-            items.delete(url);
-            changed = true;
-          }
-
-          // Remove the item from the list so it's not processed when adding
-          // new actions below.
-          items.delete(url);
-        }
-        // Otherwise, if there is no corresponding item, remove it.
-        else {
-          await this.deleteCheckItem(checklist.id, checkitem.id);
-        }
-      }
-    }
-
-    // Add new items.
-    for (const action of items.values()) {
-      this.logger.debug('Adding checklist item ' + action.name);
-      await this.addCheckItem(checklist.id, action);
-      changed = true;
-    }
-
-    return changed;
+  this.getCustomFields = topic => {
+    return {
+      lastUpdate: topic.date.changed,
+    };
   };
 
   /**
-   * Delete a board checklist.
+   * Get the comment with the diff of the introduction if it changed.
    */
-  this.deleteChecklist = async (id) => {
-    try {
-      await this.trelloClient.delete('/checklists/' + id);
-      this.logger.debug('Deleted checklist ' + id);
-    }
-    catch (exception) {
-      this.logger.error('Unable to delete checklist ' + id);
+  this.getChangeComment = (topic, card) => {
+    const introduction = (topic.introduction || '').trim();
+    if (this.config.diffComments === false || typeof card.introduction !== 'string' || card.introduction === introduction) {
+      return null;
     }
+    return diff.diffComment('Introduction updated on ' + this.date.format(this.lastUpdateFormat) + ':', card.introduction, introduction);
   };
 
   /**
-   * Update a card's checklists.
+   * Get the due date of a topic card based on the last update.
    */
-  this.updateCardChecklists = async (card, topic) => {
-    let changed = false;
-
-    var checklists = new Map();
-    if (card.checklists) {
-      for (const checklist of card.checklists) {
-        checklists.set(checklist.name, checklist);
-      }
-    }
-
-    for (const [name, items] of topic.checklists) {
-      if (!checklists.has(name)) {
-        await this.addChecklist(card.id, name, items);
-        changed = true;
-      }
-      else {
-        if (await this.updateChecklist(card.id, checklists.get(name), items)) {
-          changed = true;
-        }
-      }
-    }
-
-    return changed;
+  this.getDueDate = topic => {
+    return this.staleness.getDueDate('lastUpdate', topic.date.changed);
   };
 
   /**
-   * Update a Trello card.
+   * Get the description of a topic card if it needs to be updated.
    */
-  this.updateCard = async (position, card, topic) => {
-    let changed = false;
-
-    // Store the card data to update.
-    const data = new Map();
-
-    // Check if the card is in a automatically managed list (status list).
-    let managedList = false;
-    for (const list of this.lists.values()) {
-      if (card.idList === list.id) {
-        managedList = true;
-        break;
-      }
-    }
-
-    // Update list in which the card should be if the topic status changed.
-    if (managedList && card.idList !== this.lists.get(topic.status).id) {
-      this.logger.debug('Updated list ID of card ' + card.name);
-      data.set('idList', this.lists.get(topic.status).id);
-    }
-
-    // Update the card position if necessary.
-    if (managedList && Number(parseFloat(card.pos).toFixed()) !== position) {
-      this.logger.debug('Updated position of card ' + card.name);
-      data.set('pos', position);
-    }
-
-    // Unarchive if necessary.
-    if (card.closed) {
-      this.logger.debug('Unarchived card ' + card.name);
-      data.set('closed', 'false');
-    }
-
-    // Update the card name if necessary.
-    if (card.name !== topic.title) {
-      this.logger.debug('Updated name of card ' + card.name);
-      data.set('name', topic.title);
+  this.getDescription = (topic, card) => {
+    if (!card) {
+      return this.generateCardDescription(topic.lastUpdate, topic.introduction);
     }
 
     // Update the card description if the introduction or update date changed.
-    if (topic.introduction !== card.introduction || topic.lastUpdate !== card.lastUpdate) {
-      this.logger.debug('Updated description of card ' + card.name);
-      data.set('desc', this.generateCardDescription(card.desc, topic.lastUpdate, topic.introduction));
-    }
-
-    // Update the card labels.
-    if (await this.updateCardLabels(card, topic)) {
-      this.logger.info('Updated labels for card ' + card.name);
-      changed = true;
+    if (this.useCustomFields) {
+      const changed = (topic.introduction || '').trim() !== card.introduction || card.legacy;
+      return changed ? this.generateCardDescription(topic.lastUpdate, topic.introduction) : null;
     }
-
-    // Update the card checklists.
-    if (await this.updateCardChecklists(card, topic)) {
-      this.logger.info('Updated checklists for card ' + card.name);
-      changed = true;
-    }
-
-    // Update the card if necessary.
-    if (data.size > 0) {
-      try {
-        await this.trelloClient.put('/cards/' + card.id, Object.fromEntries(data));
-        this.logger.info('Updated card ' + card.name);
-        changed = true;
-      }
-      catch (exception) {
-        this.logger.error('Unable to update card ' + card.name + ': ' + exception);
-      }
+    if ((topic.introduction || '').trim() !== card.introduction || topic.lastUpdate !== card.lastUpdate) {
+      return this.generateCardDescription(topic.lastUpdate, topic.introduction);
     }
-    else {
-      this.logger.info('No changes for card ' + card.name);
-    }
-
-    return changed;
-  };
-
-  /**
-   * Create a Trello card.
-   */
-  this.createCard = async (position, topic) => {
-    const data = {
-      idList: this.lists.get(topic.status).id,
-      urlSource: '',
-      name: topic.title,
-      desc: this.generateCardDescription('', topic.lastUpdate, topic.introduction),
-      pos: position,
-      idLabels: Array.from(this.getTopicLabels(topic).values()).join(','),
-    };
-
-    // Create the card.
-    let card;
-    try {
-      card = await this.trelloClient.post('/cards', data);
-      this.logger.info('Created card ' + topic.title);
-    }
-    catch (exception) {
-      this.logger.error('Unable to create card ' + topic.title + ': ' + exception);
-      return;
-    }
-
-    // Add the topic URL as attachment.
-    try {
-      await this.trelloClient.post('/cards/' + card.id + '/attachments', {
-        url: topic.url,
-      });
-      this.logger.debug('Added url ' + topic.url + ' to card ' + topic.title);
-    }
-    catch (exception) {
-      this.logger.error('Unable to set the URL ' + topic.url + ' to card ' + topic.title);
-    }
-
-    // Update the card checklists.
-    if (await this.updateCardChecklists(card, topic)) {
-      this.logger.info('Updated checklists for card ' + card.name);
-    }
-  };
-
-  /**
-   * Update the Trello board.
-   */
-  this.updateBoard = async () => {
-    const cards = new Map();
-
-    // Get the list of existing topic cards.
-    for (const card of this.board.cards.values()) {
-      if (card.attachments) {
-        for (const attachment of card.attachments) {
-          if (this.urlPattern.test(attachment.url)) {
-            cards.set(attachment.url, this.prepareCard(card));
-            break;
-          }
-        }
-      }
-    }
-
-    // Update or create the topic cards.
-    let updated = 0;
-    for (const topic of this.topics) {
-      const position = this.maxIndex - topic.id;
-      if (cards.has(topic.url)) {
-        if (await this.updateCard(position, cards.get(topic.url), topic)) {
-          updated++;
-        }
-      }
-      else {
-        await this.createCard(position, topic);
-        updated++;
-      }
-    }
-    this.logger.info('Updated/created ' + updated + ' card(s)');
+    return null;
   };
 }
 
-/**
- * Execute logic.
- */
-const config = require(process.env.CONFIG);
+exports.TopicManager = TopicManager;
+exports.configSchema = configSchema;
+exports.defaultStaleness = defaultStaleness;
 
-const Logger = require('./libs/logger.js').Logger;
-const logger = new Logger(config.debug);
-
-const TrelloClient = require('./libs/trello.js').TrelloClient;
-const trelloClient = new TrelloClient(config.trello, logger);
-
-const RWApiClient = require('./libs/rwapi.js').RWApiClient;
-const rwapiClient = new RWApiClient(config.rwapi, logger);
-
-const DateWrapper = require('./libs/date.js').DateWrapper;
-
-const manager = new TopicManager(config, logger, trelloClient, rwapiClient, new DateWrapper());
-manager.process();
+// Direct execution (see cli.js).
+if (require.main === module) {
+  require('./cli.js').main(['topics', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,135 @@
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const path = require('node:path');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {loadFixture, startFakes, runCli, startCli, buildConfig} = require('./helpers.js');
+
+const Logger = require('../src/libs/logger.js').Logger;
+const TrelloClient = require('../src/libs/trello.js').TrelloClient;
+const RWApiClient = require('../src/libs/rwapi.js').RWApiClient;
+const DateWrapper = require('../src/libs/date.js').DateWrapper;
+const CountryManager = require('../src/countries.js').CountryManager;
+
+describe('Command line', () => {
+  let fakes;
+  let board;
+
+  beforeEach(async () => {
+    fakes = await startFakes(loadFixture('countries'));
+    board = fakes.trello.addBoard({name: 'Countries', lists: ['Countries']});
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  it('exits with a usage error for unknown connectors or missing config', async () => {
+    let result = await runCli(['unknown', '--config', '{}']);
+    assert.strictEqual(result.code, 2);
+    assert.match(result.output, /Unknown connector: unknown/);
+
+    result = await runCli(['countries'], {CONFIG: ''});
+    assert.strictEqual(result.code, 2);
+    assert.match(result.output, /Missing configuration/);
+
+    result = await runCli(['countries', '--config', path.join(__dirname, 'missing.json')]);
+    assert.strictEqual(result.code, 2);
+    assert.match(result.output, /Unable to read the configuration file/);
+
+    result = await runCli(['countries', '--config', '{}', '--listen', '--dry-run']);
+    assert.strictEqual(result.code, 2);
+    assert.match(result.output, /The --listen and --dry-run options cannot be combined/);
+  });
+
+  it('reports every invalid configuration key', async () => {
+    const config = buildConfig(fakes, board.id, {statuses: {current: 1}, lables: {}});
+    delete config.trello.token;
+
+    const result = await runCli(['countries', '--config', JSON.stringify(config)]);
+    assert.strictEqual(result.code, 2, result.output);
+    assert.match(result.output, /config\.trello\.token: missing required string/);
+    assert.match(result.output, /config\.statuses\.current: expected string, got number/);
+    assert.match(result.output, /config\.lables: unknown key/);
+    assert.match(result.output, /Expected configuration:\n {2}debug: boolean/);
+    assert.strictEqual(fakes.trello.requests.length, 0);
+  });
+
+  it('loads inline JSON config with environment overrides', async () => {
+    const config = buildConfig(fakes, 'unknown-board', {statuses: {}});
+
+    const result = await runCli(['countries', '--config', JSON.stringify(config)], {
+      TRELLO_BOARD_ID: board.id,
+    });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.ok(fakes.trello.requests.some(request => request.path === '/boards/' + board.id));
+  });
+
+  it('exits with a failure when the board cannot be retrieved', async () => {
+    const config = buildConfig(fakes, 'unknown-board', {statuses: {}});
+
+    const result = await runCli(['countries', '--config', JSON.stringify(config)]);
+    assert.strictEqual(result.code, 1, result.output);
+    assert.match(result.output, /status: fatal/);
+    assert.match(result.output, /Fatal error: .*404/);
+  });
+
+  it('exits with a partial failure when some cards could not be updated', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    fakes.trello.addCard({idList: list.id, name: 'Country C', attachments: ['http://reliefweb.int/taxonomy/term/13']});
+    fakes.trello.failOn('POST cards/:id/idLabels');
+    const config = buildConfig(fakes, board.id, {statuses: {}});
+
+    const result = await runCli(['countries', '--config', JSON.stringify(config)]);
+    assert.strictEqual(result.code, 3, result.output);
+    assert.match(result.output, /Run summary: 0 created, 0 updated, 0 archived, 0 unchanged, 1 failed, 2 API error\(s\), 0 malformed description\(s\) - status: partial/);
+  });
+
+  it('syncs the cards on webhook notifications in listen mode', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const card = fakes.trello.addCard({idList: list.id, name: 'Country A', attachments: ['http://reliefweb.int/taxonomy/term/11']});
+    const callbackUrl = 'https://example.com/webhook';
+    const config = buildConfig(fakes, board.id, {
+      statuses: {},
+      webhook: {callbackUrl: callbackUrl, port: 0, host: '127.0.0.1', secret: 'secret'},
+    });
+
+    const cli = startCli(['countries', '--config', JSON.stringify(config), '--listen']);
+    try {
+      const port = (await cli.waitFor(/Listening for webhook notifications on port (\d+)/))[1];
+      await cli.waitFor(/Registered webhook for board/);
+      assert.deepStrictEqual(Array.from(fakes.trello.webhooks.values()).map(webhook => webhook.idModel), [board.id]);
+      assert.match(card.desc, /Profile of Country A\./);
+
+      // An editor replaces the description.
+      card.desc = 'Edited.';
+      const notification = JSON.stringify({
+        action: {type: 'updateCard', idMemberCreator: 'editor', data: {card: {id: card.id}}},
+        model: {id: board.id},
+      });
+      const signature = crypto.createHmac('sha1', 'secret').update(notification + callbackUrl).digest('base64');
+      const url = 'http://127.0.0.1:' + port + '/';
+
+      let response = await fetch(url, {method: 'POST', body: notification, headers: {'X-Trello-Webhook': 'invalid'}});
+      assert.strictEqual(response.status, 401);
+
+      response = await fetch(url, {method: 'POST', body: notification, headers: {'X-Trello-Webhook': signature}});
+      assert.strictEqual(response.status, 200);
+      await cli.waitFor(/Synced card/);
+      assert.match(card.desc, /^Edited\.\n\n\[\/\/\]: # \(rwint-trello:start\)\n\n[^]*Profile of Country A\./);
+    }
+    finally {
+      cli.child.kill('SIGTERM');
+    }
+    assert.strictEqual(await cli.exited, 0, cli.output());
+  });
+
+  it('exposes the managers as importable modules', async () => {
+    const config = buildConfig(fakes, board.id, {statuses: {}});
+    const logger = new Logger(false);
+    const manager = new CountryManager(config, logger, new TrelloClient(config.trello, logger), new RWApiClient(config.rwapi, logger), new DateWrapper());
+
+    await manager.process();
+    assert.strictEqual(manager.sync.entities.length, 3);
+  });
+});
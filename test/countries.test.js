@@ -0,0 +1,151 @@
+const assert = require('node:assert');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {daysAgo, loadFixture, startFakes, runConnector, buildConfig} = require('./helpers.js');
+
+/**
+ * Build the country connector config.
+ */
+function countryConfig(fakes, board) {
+  return buildConfig(fakes, board.id, {
+    labels: {
+      'Ongoing Situation': 'pink',
+      'Profile Checked': 'purple',
+      'Profile Update > 1 Week': 'sky',
+      'Profile Update > 2 Weeks': 'blue',
+      'Profile Update > 3 Weeks': 'purple',
+    },
+    statuses: {
+      current: 'ongoing',
+      ongoing: 'ongoing',
+      normal: 'normal',
+    },
+  });
+}
+
+describe('Country connector', () => {
+  let fakes;
+  let board;
+  let list;
+
+  beforeEach(async () => {
+    fakes = await startFakes(loadFixture('countries'));
+    board = fakes.trello.addBoard({name: 'Countries', lists: ['Countries']});
+    list = fakes.trello.getLists(board.id)[0];
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  it('updates the descriptions and labels of the existing cards', async () => {
+    const countryA = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A',
+      desc: '# Last Profile Update\n\n' + daysAgo(20) + '\n\n# Profile\n\nProfile of Country A.',
+      labels: ['Custom'],
+      attachments: ['http://reliefweb.int/taxonomy/term/11'],
+    });
+    const countryB = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country B',
+      attachments: ['http://reliefweb.int/taxonomy/term/12'],
+    });
+
+    const result = await runConnector('countries', countryConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(countryA), [
+      'A',
+      'Custom',
+      'Ongoing Situation',
+      'Profile Checked',
+      'Profile Update > 2 Weeks',
+      'aaa',
+    ]);
+    assert.match(countryA.desc, /Profile of Country A\.$/);
+    assert.match(countryA.desc, new RegExp(daysAgo(20).slice(0, 10)));
+
+    assert.match(countryB.desc, /^\[\/\/\]: # \(rwint-trello:start\)\n\n# Last Profile Update\n\n\d+ \w+ \d{4}\n\n# Profile\n\nProfile of Country B\.\n\n\[\/\/\]: # \(rwint-trello:end\)$/);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(countryB), ['B', 'Ongoing Situation', 'Profile Checked', 'bbb']);
+  });
+
+  it('creates, moves and archives the cards in the status lists', async () => {
+    const ongoing = fakes.trello.addList(board.id, 'Ongoing', 2);
+    const countryA = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A',
+      attachments: ['http://reliefweb.int/taxonomy/term/11'],
+    });
+    const countryC = fakes.trello.addCard({
+      idList: ongoing.id,
+      name: 'Country C',
+      attachments: ['http://reliefweb.int/taxonomy/term/13'],
+    });
+    const removed = fakes.trello.addCard({
+      idList: ongoing.id,
+      name: 'Removed country',
+      attachments: ['http://reliefweb.int/taxonomy/term/10'],
+    });
+
+    const config = countryConfig(fakes, board);
+    config.lists = [
+      {status: 'ongoing', name: 'Ongoing', position: 2},
+      {status: 'normal', name: 'Normal', position: 3},
+    ];
+
+    const result = await runConnector('countries', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const normal = fakes.trello.getLists(board.id).find(list => list.name === 'Normal');
+    assert.ok(normal);
+
+    // Country A is in a list that is not managed so it is left there.
+    assert.strictEqual(countryA.idList, list.id);
+
+    // Country C is normal and moved to the corresponding list.
+    assert.strictEqual(countryC.idList, normal.id);
+
+    // Country B is created in the ongoing list.
+    const countryB = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/12');
+    assert.strictEqual(countryB.idList, ongoing.id);
+    assert.strictEqual(countryB.name, 'Country B');
+    assert.match(countryB.desc, /# Profile\n\nProfile of Country B\.\n\n\[\/\/\]: # \(rwint-trello:end\)$/);
+
+    // The country not returned by the API anymore is archived.
+    assert.strictEqual(removed.closed, true);
+    assert.match(result.output, /1 created, 2 updated, 1 archived/);
+  });
+
+  it('leaves the archived cards untouched', async () => {
+    const ongoing = fakes.trello.addList(board.id, 'Ongoing', 2);
+    const archived = fakes.trello.addCard({
+      idList: ongoing.id,
+      name: 'Old name',
+      closed: true,
+      attachments: ['http://reliefweb.int/taxonomy/term/11'],
+    });
+
+    const config = countryConfig(fakes, board);
+    config.lists = [
+      {status: 'ongoing', name: 'Ongoing', position: 2},
+      {status: 'normal', name: 'Normal', position: 3},
+    ];
+
+    const result = await runConnector('countries', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.deepStrictEqual([archived.closed, archived.name, archived.desc], [true, 'Old name', '']);
+    assert.strictEqual(fakes.trello.getCards(board.id).filter(card => card.attachments.some(attachment => attachment.url === 'http://reliefweb.int/taxonomy/term/11')).length, 1);
+  });
+
+  it('rejects lists with an unknown status', async () => {
+    const config = countryConfig(fakes, board);
+    config.lists = [{status: 'current', name: 'Current', position: 2}];
+
+    const result = await runConnector('countries', config);
+    assert.strictEqual(result.code, 2, result.output);
+    assert.match(result.output, /config\.lists\[0\]\.status: unknown status current, expected one of the statuses values: ongoing, normal/);
+    assert.strictEqual(fakes.trello.requests.length, 0);
+  });
+});
@@ -0,0 +1,457 @@
+const assert = require('node:assert');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {daysAgo, loadFixture, startFakes, runConnector, buildConfig} = require('./helpers.js');
+
+/**
+ * Build the disaster connector config.
+ */
+function disasterConfig(fakes, board) {
+  return buildConfig(fakes, board.id, {
+    labels: {
+      'Profile Update > 1 Week': 'sky',
+      'Profile Update > 2 Weeks': 'blue',
+      'Profile Update > 3 Weeks': 'purple',
+      'Last Report > 1 Week': 'yellow',
+      'Last Report > 1 Month': 'orange',
+      'Last Report > 2 Months': 'red',
+    },
+    lists: [
+      {status: 'draft', name: 'Draft', position: 2},
+      {status: 'alert', name: 'Alert', position: 3},
+      {status: 'ongoing', name: 'Ongoing', position: 4},
+    ],
+  });
+}
+
+describe('Disaster connector', () => {
+  let fakes;
+  let board;
+
+  beforeEach(async () => {
+    fakes = await startFakes(loadFixture('disasters'));
+    board = fakes.trello.addBoard({name: 'Disasters', lists: ['Draft', 'Watch']});
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  it('creates the lists, labels and cards', async () => {
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const lists = new Map(fakes.trello.getLists(board.id).map(list => [list.name, list]));
+    assert.deepStrictEqual(Array.from(lists.keys()).sort(), ['Alert', 'Draft', 'Ongoing', 'Watch']);
+    assert.strictEqual(fakes.trello.getCards(board.id).length, 3);
+
+    const card = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50001');
+    assert.strictEqual(card.name, 'Country A and Country B: Floods - Apr 2026');
+    assert.strictEqual(card.idList, lists.get('Alert').id);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), ['Country A', 'Country B', 'Flood', 'Last Report > 2 Months']);
+    assert.match(card.desc, /# Profile\n\nHeavy rains caused floods\.\n\nThousands are displaced\./);
+    assert.match(card.desc, /# Glide Number\n\n\[FL-2026-000021-AAA\]\(https:\/\/glidenumber\.net\/glide\/public\/search\/details\.jsp\?glide=FL-2026-000021-AAA\)\n\n# Reporting Activity\n\n/);
+    assert.match(card.desc, /Weekly reports \(last 13 weeks\): `▁{13}`\n\n\[\/\/\]: # \(rwint-trello:end\)$/);
+
+    const draft = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50003');
+    assert.strictEqual(draft.idList, lists.get('Draft').id);
+    assert.strictEqual(fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/40000'), null);
+  });
+
+  it('retrieves the disasters across several pages', async () => {
+    const config = disasterConfig(fakes, board);
+    config.rwapi.pageSize = 1;
+
+    const result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(fakes.trello.getCards(board.id).length, 3);
+    assert.strictEqual(fakes.rwapi.requests.filter(request => request.path === '/v1/disasters').length, 3);
+  });
+
+  it('updates, moves and archives the existing cards', async () => {
+    const lists = new Map(fakes.trello.getLists(board.id).map(list => [list.name, list]));
+    const alert = fakes.trello.addList(board.id, 'Alert', 3);
+    fakes.trello.addList(board.id, 'Ongoing', 4);
+
+    const existing = fakes.trello.addCard({
+      idList: lists.get('Draft').id,
+      name: 'Old name',
+      desc: '# Last Profile Update\n\n' + daysAgo(30) + '\n\n# Profile\n\nA strong earthquake struck Country A.\n\n# Glide Number\n\nEQ-2026-000042-AAA',
+      labels: ['Flood', 'Editor Pick'],
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+    const past = fakes.trello.addCard({
+      idList: alert.id,
+      name: 'Country C: Cyclone - 2020',
+      attachments: ['http://reliefweb.int/taxonomy/term/40000'],
+    });
+    const watched = fakes.trello.addCard({
+      idList: lists.get('Watch').id,
+      name: 'Country D: Epidemic - 2019',
+      attachments: ['http://reliefweb.int/taxonomy/term/30000'],
+    });
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const ongoing = fakes.trello.getLists(board.id).find(list => list.name === 'Ongoing');
+    assert.strictEqual(existing.name, 'Country A: Earthquake - May 2026');
+    assert.strictEqual(existing.idList, ongoing.id);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(existing), [
+      'Country A',
+      'Earthquake',
+      'Editor Pick',
+      'Last Report > 2 Months',
+      'Profile Update > 3 Weeks',
+    ]);
+    assert.strictEqual(past.closed, true);
+    assert.strictEqual(watched.closed, false);
+  });
+
+  it('moves the cards to the list of their status from any list', async () => {
+    const watch = fakes.trello.getLists(board.id).find(list => list.name === 'Watch');
+    const card = fakes.trello.addCard({
+      idList: watch.id,
+      name: 'Country A: Earthquake - May 2026',
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const ongoing = fakes.trello.getLists(board.id).find(list => list.name === 'Ongoing');
+    assert.strictEqual(card.idList, ongoing.id);
+    assert.strictEqual(card.closed, false);
+  });
+
+  it('preserves the editor text around the managed description block', async () => {
+    const card = fakes.trello.addCard({
+      idList: fakes.trello.getLists(board.id)[0].id,
+      name: 'Country A: Earthquake - May 2026',
+      desc: [
+        // Blocks generated without blank lines around the markers.
+        'Editor notes.',
+        '[//]: # (rwint-trello:start)',
+        '# Last Profile Update',
+        '',
+        '1 Jan 2026',
+        '',
+        '# Profile',
+        '',
+        'Old profile.',
+        '',
+        '# Glide Number',
+        '',
+        'EQ-2026-000042-AAA',
+        '[//]: # (rwint-trello:end)',
+        '- [Sitrep](https://example.com/sitrep)',
+      ].join('\n'),
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.match(card.desc, /^Editor notes\.\n\n\[\/\/\]: # \(rwint-trello:start\)\n\n# Last Profile Update\n\n\d+ \w+ \d{4}\n\n# Profile\n\nA strong earthquake struck Country A\.\n\n/);
+    assert.match(card.desc, /\n\n\[\/\/\]: # \(rwint-trello:end\)\n\n- \[Sitrep\]\(https:\/\/example\.com\/sitrep\)$/);
+    assert.doesNotMatch(card.desc, /1 Jan 2026/);
+  });
+
+  it('comments on the cards with the diff of the profile changes', async () => {
+    const card = fakes.trello.addCard({
+      idList: fakes.trello.getLists(board.id)[0].id,
+      name: 'Country A and Country B: Floods - Apr 2026',
+      desc: '# Last Profile Update\n\n3 Mar 2026\n\n# Profile\n\nHeavy rains caused floods.\n\nHundreds are displaced.\n\n# Glide Number\n\nFL-2026-000021-AAA',
+      attachments: ['http://reliefweb.int/taxonomy/term/50001'],
+    });
+
+    let result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.strictEqual(card.comments.length, 1);
+    assert.match(card.comments[0].text, /^Profile updated on \d+ \w+ \d{4} \d{2}:\d{2}:\d{2} UTC:\n\n```diff\n/);
+    assert.match(card.comments[0].text, /\n {2}Heavy rains caused floods\.\n {2}\n- Hundreds are displaced\.\n\+ Thousands are displaced\.\n```$/);
+
+    // No comment without profile change.
+    result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(card.comments.length, 1);
+  });
+
+  it('tolerates hand edited descriptions and reports the malformed ones', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const edited = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A: Earthquake - May 2026',
+      desc: [
+        '#  Last Profile Update ',
+        '',
+        '2 Feb 2026',
+        '',
+        '',
+        '## Profile',
+        'A strong earthquake struck Country A.',
+        '',
+        '',
+        '# Glide Number',
+        '',
+        ' [EQ-2026-000042-AAA](https://glidenumber.net/glide/public/search/details.jsp?glide=EQ-2026-000042-AAA) ',
+        '# Reporting activity',
+        'Reports: 0 in the last 7 days, 0 in the last 30 days, 0 in the last 90 days',
+        '',
+        'Weekly reports (last 13 weeks): `▁▁▁▁▁▁▁▁▁▁▁▁▁`',
+        '',
+      ].join('\n'),
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+    const desc = edited.desc;
+    const malformed = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A and Country B: Floods - Apr 2026',
+      desc: '# Last Profile Update\n\n3 Mar 2026\n\n# Profil\n\nHeavy rains caused floods.',
+      attachments: ['http://reliefweb.int/taxonomy/term/50001'],
+    });
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    // The whitespace changes don't trigger an update.
+    assert.strictEqual(edited.desc, desc);
+
+    // The malformed card is reported and rewritten with its stored date.
+    assert.match(result.output, /Malformed description for card Country A and Country B: Floods - Apr 2026: missing section\(s\) Profile, Glide Number/);
+    assert.match(result.output, /1 malformed description\(s\)/);
+    assert.match(malformed.desc, /# Last Profile Update\n\n3 Mar 2026\n\n# Profile\n\nHeavy rains caused floods\./);
+  });
+
+  it('shows the reporting activity and trend', async () => {
+    // 2 reports this week, 6 others in the last 4 weeks and 1 in the 4 weeks
+    // before.
+    for (const days of [0, 1, 8, 9, 10, 15, 16, 22, 40]) {
+      fakes.rwapi.fixtures.reports.push({disaster: 50002, date: daysAgo(days)});
+    }
+    fakes.rwapi.fixtures.reports.push({disaster: 50001, date: daysAgo(100)});
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const card = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50002');
+    assert.match(card.desc, /# Reporting Activity\n\nReports: 2 in the last 7 days, 8 in the last 30 days, 9 in the last 90 days\n\n/);
+    assert.match(card.desc, /Weekly reports \(last 13 weeks\): `▁▁▁▁▁▁▁▃▁▃▆█▆`/);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), ['Country A', 'Earthquake', 'Reporting Increasing']);
+
+    // The reports older than the sparkline period are ignored.
+    const other = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50001');
+    assert.match(other.desc, /Reports: 0 in the last 7 days, 0 in the last 30 days, 0 in the last 90 days/);
+    assert.ok(!fakes.trello.getCardLabelNames(other).some(name => name.startsWith('Reporting')));
+  });
+
+  it('sets the due dates from the last report date when known', async () => {
+    const card = fakes.trello.addCard({
+      idList: fakes.trello.getLists(board.id)[0].id,
+      name: 'Country A and Country B: Floods - Apr 2026',
+      due: '2026-01-01T00:00:00.000Z',
+      dueComplete: true,
+      attachments: ['http://reliefweb.int/taxonomy/term/50001'],
+    });
+    fakes.rwapi.fixtures.reports.push({disaster: 50002, date: daysAgo(3)});
+    const config = disasterConfig(fakes, board);
+    config.dueDate = 'lastReport';
+
+    let result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    // The due date is the last report day plus the lowest threshold (7 days).
+    const other = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50002');
+    assert.strictEqual(other.due, daysAgo(-4).slice(0, 10) + 'T00:00:00.000Z');
+
+    // The due date of the disaster without recent reports is left untouched.
+    assert.strictEqual(card.due, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(card.dueComplete, true);
+
+    const count = fakes.trello.getMutations().length;
+    result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(fakes.trello.getMutations().length, count);
+  });
+
+  it('validates and links the GLIDE numbers', async () => {
+    const disasters = new Map(fakes.rwapi.fixtures.disasters.map(disaster => [disaster.id, disaster]));
+    disasters.get(50001).glide = 'FL-2026-000021-AAA, eq-2026-000022-ccc';
+    delete disasters.get(50002).glide;
+    disasters.get(50003).glide = 'invalid';
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const mismatch = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50001');
+    assert.ok(fakes.trello.getCardLabelNames(mismatch).includes('GLIDE Mismatch'));
+    assert.match(mismatch.desc, /# Glide Number\n\n\[FL-2026-000021-AAA\]\(https:\/\/glidenumber\.net\/[^)]+=FL-2026-000021-AAA\), \[EQ-2026-000022-CCC\]\([^)]+\)\n/);
+
+    const missing = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50002');
+    assert.ok(fakes.trello.getCardLabelNames(missing).includes('GLIDE Missing'));
+
+    // Only the alert and ongoing disasters are checked.
+    const draft = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50003');
+    assert.ok(!fakes.trello.getCardLabelNames(draft).some(name => name.startsWith('GLIDE')));
+    assert.match(draft.desc, /# Glide Number\n\ninvalid\n/);
+  });
+
+  it('assigns the members from the ownership map', async () => {
+    const alice = fakes.trello.addMember(board.id, 'alice');
+    fakes.trello.addMember(board.id, 'bob');
+    const carol = fakes.trello.addMember(board.id, 'carol');
+    const card = fakes.trello.addCard({
+      idList: fakes.trello.getLists(board.id)[0].id,
+      name: 'Country A: Earthquake - May 2026',
+      members: [alice, carol],
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+
+    const config = disasterConfig(fakes, board);
+    config.members = {
+      countries: {AAA: ['alice'], BBB: ['Bob']},
+      types: {FL: ['bob', 'nobody']},
+    };
+
+    let result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.match(result.output, /Unknown board member: nobody/);
+
+    // The manual assignments are kept.
+    assert.deepStrictEqual(fakes.trello.getCardMemberNames(card), ['alice', 'carol']);
+    const created = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50001');
+    assert.deepStrictEqual(fakes.trello.getCardMemberNames(created), ['alice', 'bob']);
+
+    // The members not in the mapping are removed in strict mode.
+    config.members.strict = true;
+    config.members.countries.AAA = ['bob'];
+    result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.deepStrictEqual(fakes.trello.getCardMemberNames(card), ['bob']);
+    assert.deepStrictEqual(fakes.trello.getCardMemberNames(created), ['bob']);
+  });
+
+  it('retrieves the report facets in batches and tolerates failing batches', async () => {
+    const card = fakes.trello.addCard({
+      idList: fakes.trello.getLists(board.id)[0].id,
+      name: 'Country A and Country B: Floods - Apr 2026',
+      desc: '# Last Profile Update\n\n3 Mar 2026\n\n# Profile\n\nOld profile.\n\n# Glide Number\n\nFL-2026-000021-AAA\n\n# Reporting Activity\n\nOld activity.',
+      labels: ['Last Report > 1 Month', 'Reporting Declining'],
+      attachments: ['http://reliefweb.int/taxonomy/term/50001'],
+    });
+    fakes.rwapi.maxFacets = 2;
+    fakes.rwapi.failOnFacet('50001-day');
+
+    const config = disasterConfig(fakes, board);
+    config.reportFacets = {batchSize: 1, concurrency: 2};
+
+    const result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 3, result.output);
+    assert.strictEqual(fakes.rwapi.requests.filter(request => request.path === '/v1/reports').length, 3);
+    assert.match(result.output, /Unable to retrieve extra data for disasters 50001/);
+
+    // The other disasters are processed normally.
+    assert.strictEqual(fakes.trello.getCards(board.id).length, 3);
+    const other = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50002');
+    assert.ok(fakes.trello.getCardLabelNames(other).includes('Last Report > 2 Months'));
+
+    // The affected card keeps its report labels and activity.
+    assert.match(card.desc, /# Profile\n\nHeavy rains caused floods\./);
+    assert.match(card.desc, /# Reporting Activity\n\nOld activity\.\n/);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), [
+      'Country A',
+      'Country B',
+      'Flood',
+      'Last Report > 1 Month',
+      'Reporting Declining',
+    ]);
+  });
+
+  it('does not reset the reporting activity when the report facets are missing', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const empty = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A and Country B: Floods - Apr 2026',
+      desc: '# Last Profile Update\n\n3 Mar 2026\n\n# Profile\n\nOld profile.\n\n# Glide Number\n\nFL-2026-000021-AAA\n\n# Reporting Activity\n\n',
+      attachments: ['http://reliefweb.int/taxonomy/term/50001'],
+    });
+    const missing = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country B: Drought - 2026',
+      desc: '# Last Profile Update\n\n3 Mar 2026\n\n# Profile\n\nOld profile.\n\n# Glide Number\n\n',
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+    fakes.rwapi.failOnFacet('50001-day');
+
+    const result = await runConnector('disasters', disasterConfig(fakes, board));
+    assert.strictEqual(result.code, 3, result.output);
+
+    // The existing activity section is kept, even empty, and the missing
+    // one doesn't report an absence of activity.
+    for (const card of [empty, missing]) {
+      assert.doesNotMatch(card.desc, /Reports: 0 in the last/);
+    }
+    assert.match(empty.desc, /# Reporting Activity\n\n\n/);
+    assert.match(missing.desc, /# Reporting Activity\n\nReporting activity unavailable\.\n/);
+  });
+
+  it('stores the metadata in custom fields in custom fields mode', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const legacy = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Country A: Earthquake - May 2026',
+      desc: 'Notes.\n\n# Last Profile Update\n\n2 Feb 2026\n\n# Profile\n\nA strong earthquake struck Country A.\n\n# Glide Number\n\nEQ-2026-000042-AAA',
+      attachments: ['http://reliefweb.int/taxonomy/term/50002'],
+    });
+    const config = disasterConfig(fakes, board);
+    config.customFields = true;
+
+    let result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const fields = Array.from(fakes.trello.customFields.values()).map(field => field.name + ':' + field.type);
+    assert.deepStrictEqual(fields, ['Last Profile Update:date', 'Glide Number:text']);
+
+    // The legacy card keeps its profile update date, moved to a custom field.
+    assert.deepStrictEqual(fakes.trello.getCardCustomFields(legacy), {
+      'Last Profile Update': new Date('2 Feb 2026').toISOString(),
+      'Glide Number': 'EQ-2026-000042-AAA',
+    });
+    assert.match(legacy.desc, /^Notes\.\n\n\[\/\/\]: # \(rwint-trello:start\)\n\n# Profile\n\nA strong earthquake struck Country A\.\n\n# Reporting Activity\n\n/);
+
+    const created = fakes.trello.findCardByAttachment('http://reliefweb.int/taxonomy/term/50001');
+    assert.strictEqual(fakes.trello.getCardCustomFields(created)['Glide Number'], 'FL-2026-000021-AAA');
+    assert.doesNotMatch(created.desc, /Glide Number|Last Profile Update/);
+
+    // Nothing to update on the next run.
+    const count = fakes.trello.getMutations().length;
+    result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(fakes.trello.getMutations().length, count);
+  });
+
+  it('leaves an up to date board untouched', async () => {
+    const config = disasterConfig(fakes, board);
+
+    let result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const count = fakes.trello.getMutations().length;
+    result = await runConnector('disasters', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(fakes.trello.getMutations().length, count);
+  });
+
+  it('reports the changes without applying them in dry run mode', async () => {
+    const result = await runConnector('disasters', disasterConfig(fakes, board), ['--dry-run']);
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.strictEqual(fakes.trello.getMutations().length, 0);
+    assert.strictEqual(fakes.trello.getCards(board.id).length, 0);
+
+    assert.match(result.output, /\[INFO\] Dry run: create card: 3\n/);
+    assert.match(result.output, /\[INFO\] Dry run: create list: 2\n/);
+    assert.match(result.output, /\[INFO\] Dry run: - create card "[^"]+": .*name \(none\) -> "[^"]+"/);
+  });
+});
@@ -0,0 +1,223 @@
+const http = require('node:http');
+const URL = require('node:url').URL;
+
+/**
+ * Fixture-driven ReliefWeb API stand-in.
+ *
+ * Serves the `/disasters`, `/topics` and `/countries` resources from the
+ * fixture items (with the status filter and the pagination applied) and the
+ * `date.created` facets of the `/reports` resource from the fixture reports.
+ *
+ * Fixtures have the following shape:
+ * - disasters, topics, countries: list of items fields.
+ * - reports: list of {disaster, date, status} objects.
+ */
+function FakeRWApi(fixtures = {}) {
+  this.fixtures = Object.assign({
+    disasters: [],
+    topics: [],
+    countries: [],
+    reports: [],
+  }, fixtures);
+
+  // Log of the requests received by the server.
+  this.requests = [];
+
+  // Maximum number of facets per request and names of the facets for which
+  // the requests fail.
+  this.maxFacets = Infinity;
+  this.failingFacets = new Set();
+
+  this.server = null;
+
+  /**
+   * Get the value of a field path (ex: "type.code") from an item.
+   */
+  this.getValue = (item, field) => {
+    return field.split('.').reduce((value, key) => {
+      if (Array.isArray(value)) {
+        return value.map(entry => entry[key]);
+      }
+      return value !== null && typeof value === 'object' ? value[key] : null;
+    }, item);
+  };
+
+  /**
+   * Check if an item matches a filter.
+   */
+  this.matches = (item, filter) => {
+    if (!filter) {
+      return true;
+    }
+    if (filter.conditions) {
+      const results = filter.conditions.map(condition => this.matches(item, condition));
+      return filter.operator === 'OR' ? results.includes(true) : !results.includes(false);
+    }
+
+    const value = this.getValue(item, filter.field);
+    const values = [].concat(value);
+    if (filter.value !== null && typeof filter.value === 'object' && !Array.isArray(filter.value)) {
+      return values.some(value => {
+        return (!filter.value.from || value >= filter.value.from) && (!filter.value.to || value < filter.value.to);
+      });
+    }
+    const expected = [].concat(filter.value).map(String);
+    return values.some(value => expected.includes(String(value)));
+  };
+
+  /**
+   * Get a page of items from a resource.
+   */
+  this.getItems = (resource, data) => {
+    const items = this.fixtures[resource].filter(item => this.matches(item, data.filter));
+    const offset = data.offset || 0;
+    const limit = typeof data.limit === 'number' ? data.limit : 10;
+
+    return {
+      totalCount: items.length,
+      count: Math.min(limit, Math.max(items.length - offset, 0)),
+      data: items.slice(offset, offset + limit).map(item => ({
+        id: String(item.id),
+        fields: JSON.parse(JSON.stringify(item)),
+      })),
+    };
+  };
+
+  /**
+   * Compute the date facets on the reports.
+   */
+  this.getReportFacets = data => {
+    const facets = {};
+    const reports = this.fixtures.reports.map(report => ({
+      disaster: {id: report.disaster},
+      status: report.status || 'published',
+      date: {created: report.date},
+    }));
+
+    for (const facet of data.facets || []) {
+      const buckets = new Map();
+      for (const report of reports) {
+        if (this.matches(report, facet.filter)) {
+          const date = new Date(report.date.created);
+          let value;
+          if (facet.interval === 'year') {
+            value = date.toISOString().slice(0, 4) + '-01-01T00:00:00+00:00';
+          }
+          else if (facet.interval === 'month') {
+            value = date.toISOString().slice(0, 7) + '-01T00:00:00+00:00';
+          }
+          else {
+            value = date.toISOString().slice(0, 10) + 'T00:00:00+00:00';
+          }
+          buckets.set(value, (buckets.get(value) || 0) + 1);
+        }
+      }
+
+      const items = Array.from(buckets, ([value, count]) => ({value: value, count: count}));
+      items.sort((a, b) => a.value < b.value ? -1 : 1);
+      if (facet.sort === 'value:desc') {
+        items.reverse();
+      }
+      facets[facet.name] = {
+        type: 'date',
+        data: items.slice(0, facet.limit || 10),
+      };
+    }
+
+    return {
+      totalCount: 0,
+      count: 0,
+      data: [],
+      embedded: {
+        facets: facets,
+      },
+    };
+  };
+
+  /**
+   * Make the requests with the given facet fail.
+   */
+  this.failOnFacet = name => {
+    this.failingFacets.add(name);
+  };
+
+  /**
+   * Get the error status for a request with too many or failing facets.
+   */
+  this.getFacetError = data => {
+    const facets = data.facets || [];
+    if (facets.length > this.maxFacets) {
+      return 413;
+    }
+    if (facets.some(facet => this.failingFacets.has(facet.name))) {
+      return 500;
+    }
+    return null;
+  };
+
+  /**
+   * Handle a request.
+   */
+  this.handle = (resource, data) => {
+    switch (resource) {
+      case 'disasters':
+      case 'topics':
+      case 'countries':
+        return this.getItems(resource, data);
+
+      case 'reports':
+        return this.getReportFacets(data);
+    }
+    return null;
+  };
+
+  /**
+   * Start the HTTP server. Resolves to the base URL of the fake API.
+   */
+  this.listen = () => {
+    this.server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        const url = new URL(request.url, 'http://localhost');
+        const resource = url.pathname.replace(/^\/v1\//, '');
+        const data = body ? JSON.parse(body) : {};
+        this.requests.push({path: url.pathname, query: url.searchParams, body: data});
+
+        const status = this.getFacetError(data);
+        if (status !== null) {
+          response.writeHead(status, {'Content-Type': 'application/json'});
+          response.end(JSON.stringify({error: {message: 'Facet error'}}));
+          return;
+        }
+
+        const result = this.handle(resource, data);
+        if (result === null) {
+          response.writeHead(404, {'Content-Type': 'application/json'});
+          response.end(JSON.stringify({error: {message: 'Unknown resource'}}));
+        }
+        else {
+          response.writeHead(200, {'Content-Type': 'application/json'});
+          response.end(JSON.stringify(result));
+        }
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve('http://127.0.0.1:' + this.server.address().port + '/v1');
+      });
+    });
+  };
+
+  /**
+   * Stop the HTTP server.
+   */
+  this.close = () => {
+    return new Promise(resolve => this.server.close(resolve));
+  };
+}
+
+exports.FakeRWApi = FakeRWApi;
@@ -0,0 +1,617 @@
+const http = require('node:http');
+const URL = require('node:url').URL;
+const URLSearchParams = require('node:url').URLSearchParams;
+
+/**
+ * In-memory Trello stand-in.
+ *
+ * Models boards, members, lists, labels, cards, comments, attachments, checklists,
+ * check items, custom fields and webhooks and serves the subset of the Trello
+ * API used by the TrelloClient.
+ */
+function FakeTrello() {
+  this.boards = new Map();
+  this.lists = new Map();
+  this.labels = new Map();
+  this.cards = new Map();
+  this.checklists = new Map();
+  this.customFields = new Map();
+  this.organizations = new Map();
+  this.members = new Map();
+  this.webhooks = new Map();
+
+  // Member owning the API token.
+  this.tokenMember = {id: 'f'.repeat(24), username: 'rwint-trello'};
+
+  // Log of the requests received by the server.
+  this.requests = [];
+
+  // Routes failing with an error status, ex: `POST cards` => 500.
+  this.failures = new Map();
+
+  // Extra headers of the responses (ex: rate limit headers).
+  this.responseHeaders = {};
+
+  this.server = null;
+  this.counter = 0;
+
+  /**
+   * Generate a Trello like ID.
+   */
+  this.generateId = () => {
+    this.counter++;
+    return String(this.counter).padStart(24, '0');
+  };
+
+  /**
+   * Add a board, with optional lists and labels, to an organization.
+   */
+  this.addBoard = ({name, organization = 'reliefweb', lists = [], labels = {}}) => {
+    const board = {id: this.generateId(), name: name, idOrganization: organization, idMembers: []};
+    this.boards.set(board.id, board);
+
+    if (!this.organizations.has(organization)) {
+      this.organizations.set(organization, []);
+    }
+    this.organizations.get(organization).push(board.id);
+
+    lists.forEach((list, index) => this.addList(board.id, list, index + 1));
+    for (const name in labels) {
+      if (labels.hasOwnProperty(name)) {
+        this.addLabel(board.id, name, labels[name]);
+      }
+    }
+    return board;
+  };
+
+  /**
+   * Add a list to a board.
+   */
+  this.addList = (idBoard, name, pos = 1) => {
+    const list = {id: this.generateId(), idBoard: idBoard, name: name, pos: Number(pos), closed: false};
+    this.lists.set(list.id, list);
+    return list;
+  };
+
+  /**
+   * Add a member to a board.
+   */
+  this.addMember = (idBoard, username) => {
+    const member = {id: this.generateId(), username: username};
+    this.members.set(member.id, member);
+    this.boards.get(idBoard).idMembers.push(member.id);
+    return member;
+  };
+
+  /**
+   * Add a label to a board.
+   */
+  this.addLabel = (idBoard, name, color = '') => {
+    const label = {id: this.generateId(), idBoard: idBoard, name: name, color: color || null};
+    this.labels.set(label.id, label);
+    return label;
+  };
+
+  /**
+   * Add a card to a board list.
+   *
+   * Labels and attachments are given by name and URL respectively.
+   */
+  this.addCard = ({idList, name, desc = '', pos = 1, closed = false, labels = [], attachments = [], members = [], due = null, dueComplete = false}) => {
+    const list = this.lists.get(idList);
+    const card = {
+      id: this.generateId(),
+      idBoard: list.idBoard,
+      idList: idList,
+      name: name,
+      desc: desc,
+      pos: Number(pos),
+      closed: closed,
+      due: due,
+      dueComplete: dueComplete,
+      dateLastActivity: new Date().toISOString(),
+      idLabels: [],
+      comments: [],
+      idMembers: members.map(member => member.id),
+      customFieldItems: [],
+      attachments: [],
+    };
+    card.shortLink = 'sl' + card.id.slice(-6);
+    card.shortUrl = 'https://trello.com/c/' + card.shortLink;
+    this.cards.set(card.id, card);
+
+    for (const name of labels) {
+      const label = this.findLabel(list.idBoard, name) || this.addLabel(list.idBoard, name);
+      card.idLabels.push(label.id);
+    }
+    for (const url of attachments) {
+      card.attachments.push({id: this.generateId(), url: url});
+    }
+    return card;
+  };
+
+  /**
+   * Add a checklist with check items to a card.
+   */
+  this.addChecklist = (idCard, name, items = []) => {
+    const card = this.cards.get(idCard);
+    const checklist = {id: this.generateId(), idCard: idCard, idBoard: card.idBoard, name: name, pos: this.checklists.size + 1, checkItems: []};
+    this.checklists.set(checklist.id, checklist);
+    for (const item of items) {
+      this.addCheckItem(checklist, typeof item === 'string' ? {name: item} : item);
+    }
+    return checklist;
+  };
+
+  /**
+   * Add a check item to a checklist.
+   */
+  this.addCheckItem = (checklist, {name, pos, checked = false}) => {
+    const item = {
+      id: this.generateId(),
+      idChecklist: checklist.id,
+      name: name,
+      pos: typeof pos !== 'undefined' && pos !== '' ? Number(pos) : (checklist.checkItems.length + 1) * 16384,
+      state: checked === true || checked === 'true' ? 'complete' : 'incomplete',
+    };
+    checklist.checkItems.push(item);
+    return item;
+  };
+
+  /**
+   * Add a custom field definition to a board.
+   */
+  this.addCustomField = (idBoard, name, type) => {
+    const field = {id: this.generateId(), idModel: idBoard, modelType: 'board', name: name, type: type};
+    this.customFields.set(field.id, field);
+    return field;
+  };
+
+  /**
+   * Get the custom field values of a card keyed by custom field name.
+   */
+  this.getCardCustomFields = card => {
+    const values = {};
+    for (const item of card.customFieldItems) {
+      const field = this.customFields.get(item.idCustomField);
+      values[field.name] = item.value[field.type];
+    }
+    return values;
+  };
+
+  /**
+   * Find a board label by name.
+   */
+  this.findLabel = (idBoard, name) => {
+    for (const label of this.labels.values()) {
+      if (label.idBoard === idBoard && label.name === name) {
+        return label;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Get the lists of a board.
+   */
+  this.getLists = idBoard => {
+    return Array.from(this.lists.values()).filter(list => list.idBoard === idBoard);
+  };
+
+  /**
+   * Get the cards of a board.
+   */
+  this.getCards = idBoard => {
+    return Array.from(this.cards.values()).filter(card => card.idBoard === idBoard);
+  };
+
+  /**
+   * Get the checklists of a card.
+   */
+  this.getChecklists = idCard => {
+    return Array.from(this.checklists.values()).filter(checklist => checklist.idCard === idCard);
+  };
+
+  /**
+   * Find a card by the URL of one of its attachments.
+   */
+  this.findCardByAttachment = url => {
+    for (const card of this.cards.values()) {
+      if (card.attachments.some(attachment => attachment.url === url)) {
+        return card;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Get the names of the labels of a card.
+   */
+  this.getCardLabelNames = card => {
+    return card.idLabels.map(id => this.labels.get(id).name).sort();
+  };
+
+  /**
+   * Get the usernames of the members of a card.
+   */
+  this.getCardMemberNames = card => {
+    return card.idMembers.map(id => this.members.get(id).username).sort();
+  };
+
+  /**
+   * Get the requests modifying the data.
+   */
+  this.getMutations = () => {
+    return this.requests.filter(request => request.method !== 'GET');
+  };
+
+  /**
+   * Serialize a label.
+   */
+  this.serializeLabel = label => {
+    return {id: label.id, idBoard: label.idBoard, name: label.name, color: label.color};
+  };
+
+  /**
+   * Serialize a card with the requested attachments and checklists.
+   */
+  this.serializeCard = (card, query, prefix = '') => {
+    const data = Object.assign({}, card, {
+      labels: card.idLabels.map(id => this.serializeLabel(this.labels.get(id))),
+    });
+    delete data.attachments;
+    delete data.customFieldItems;
+    delete data.comments;
+
+    if (query.get(prefix + 'attachments') === 'true') {
+      data.attachments = card.attachments.map(attachment => Object.assign({}, attachment));
+    }
+    if (query.get(prefix + 'customFieldItems') === 'true') {
+      data.customFieldItems = card.customFieldItems.map(item => Object.assign({}, item));
+    }
+    if (query.get(prefix + 'checklists') === 'all') {
+      data.checklists = this.getChecklists(card.id).map(checklist => this.serializeChecklist(checklist));
+    }
+    return data;
+  };
+
+  /**
+   * Serialize a checklist.
+   */
+  this.serializeChecklist = checklist => {
+    return Object.assign({}, checklist, {
+      checkItems: checklist.checkItems.map(item => Object.assign({}, item)),
+    });
+  };
+
+  /**
+   * Filter cards with the Trello filter parameter.
+   */
+  this.filterCards = (cards, filter) => {
+    if (filter === 'all') {
+      return cards;
+    }
+    if (filter === 'closed') {
+      return cards.filter(card => card.closed);
+    }
+    return cards.filter(card => !card.closed);
+  };
+
+  /**
+   * Serialize a board with the requested lists, labels and cards.
+   */
+  this.serializeBoard = (board, query) => {
+    const data = {id: board.id, name: board.name};
+
+    if (query.has('members')) {
+      data.members = board.idMembers.map(id => Object.assign({}, this.members.get(id)));
+    }
+    if (query.has('lists')) {
+      data.lists = this.getLists(board.id)
+      .filter(list => query.get('lists') === 'all' || !list.closed)
+      .map(list => Object.assign({}, list));
+    }
+    if (query.has('labels')) {
+      data.labels = Array.from(this.labels.values())
+      .filter(label => label.idBoard === board.id)
+      .map(label => this.serializeLabel(label));
+    }
+    if (query.has('cards')) {
+      data.cards = this.filterCards(this.getCards(board.id), query.get('cards'))
+      .map(card => this.serializeCard(card, query, 'card_'));
+    }
+    return data;
+  };
+
+  /**
+   * Make the requests on a route fail with the given status, the given
+   * number of times (default: always) and with the given response headers
+   * (ex: `Retry-After`).
+   */
+  this.failOn = (route, status = 500, {times = Infinity, headers = {}} = {}) => {
+    this.failures.set(route, {status: status, times: times, headers: headers});
+  };
+
+  /**
+   * Get the card modified by a request if any.
+   */
+  this.getRequestCard = (path, body) => {
+    const parts = path.split('/').filter(part => part !== '');
+    let id = null;
+    if (parts[0] === 'cards' && parts.length > 1) {
+      id = parts[1];
+    }
+    else if (parts[0] === 'checklists' && parts.length > 1 && this.checklists.has(parts[1])) {
+      id = this.checklists.get(parts[1]).idCard;
+    }
+    else if (parts[0] === 'checklists') {
+      id = body.idCard;
+    }
+    return this.cards.get(id) || null;
+  };
+
+  /**
+   * Handle a request.
+   *
+   * Returns the response data or throws a [status, message] array.
+   */
+  this.handle = (method, path, query, body) => {
+    const parts = path.split('/').filter(part => part !== '');
+    const route = method + ' ' + parts.map((part, index) => index % 2 === 1 ? ':id' : part).join('/');
+
+    if (this.failures.has(route)) {
+      const failure = this.failures.get(route);
+      failure.times--;
+      if (failure.times <= 0) {
+        this.failures.delete(route);
+      }
+      throw [failure.status, 'Failure on ' + route, failure.headers];
+    }
+
+    const get = (collection, id) => {
+      if (!collection.has(id)) {
+        throw [404, 'Not found: ' + id];
+      }
+      return collection.get(id);
+    };
+
+    switch (route) {
+      case 'GET boards/:id':
+        return this.serializeBoard(get(this.boards, parts[1]), query);
+
+      case 'GET members/:id':
+        return Object.assign({}, this.tokenMember);
+
+      case 'GET tokens/:id/webhooks':
+        return Array.from(this.webhooks.values());
+
+      case 'POST webhooks': {
+        const webhook = {id: this.generateId(), idModel: body.idModel, callbackURL: body.callbackURL, description: body.description, active: true};
+        this.webhooks.set(webhook.id, webhook);
+        return webhook;
+      }
+
+      case 'GET cards/:id':
+        return this.serializeCard(get(this.cards, parts[1]), query);
+
+      case 'GET boards/:id/cards':
+        return this.filterCards(this.getCards(get(this.boards, parts[1]).id), query.get('filter'))
+        .map(card => this.serializeCard(card, query));
+
+      case 'GET boards/:id/customFields':
+        get(this.boards, parts[1]);
+        return Array.from(this.customFields.values()).filter(field => field.idModel === parts[1]);
+
+      case 'POST customFields':
+        return this.addCustomField(get(this.boards, body.idModel).id, body.name, body.type);
+
+      case 'PUT cards/:id/customField/:id/item': {
+        const card = get(this.cards, parts[1]);
+        const field = get(this.customFields, parts[3]);
+        card.customFieldItems = card.customFieldItems.filter(item => item.idCustomField !== field.id);
+        if (body.value !== '') {
+          if (typeof body.value !== 'object' || !body.value.hasOwnProperty(field.type)) {
+            throw [400, 'Invalid value for custom field ' + field.name];
+          }
+          card.customFieldItems.push({id: this.generateId(), idCustomField: field.id, idModel: card.id, value: body.value});
+        }
+        return {};
+      }
+
+      case 'GET organizations/:id/boards':
+        return (this.organizations.get(parts[1]) || [])
+        .map(id => this.boards.get(id))
+        .map(board => this.serializeBoard(board, query));
+
+      case 'POST lists':
+        return this.addList(get(this.boards, body.idBoard).id, body.name, body.pos);
+
+      case 'POST labels':
+        return this.serializeLabel(this.addLabel(get(this.boards, body.idBoard).id, body.name, body.color));
+
+      case 'POST cards': {
+        const card = this.addCard({
+          idList: get(this.lists, body.idList).id,
+          name: body.name,
+          desc: body.desc || '',
+          pos: body.pos || 1,
+        });
+        card.idLabels = body.idLabels ? body.idLabels.split(',') : [];
+        card.idMembers = body.idMembers ? body.idMembers.split(',') : [];
+        card.due = body.due || null;
+        return this.serializeCard(card, query);
+      }
+
+      case 'PUT cards/:id': {
+        const card = get(this.cards, parts[1]);
+        for (const key in body) {
+          if (body.hasOwnProperty(key)) {
+            switch (key) {
+              case 'closed':
+                card.closed = body.closed === 'true';
+                break;
+
+              case 'pos':
+                card.pos = Number(body.pos);
+                break;
+
+              case 'dueComplete':
+                card.dueComplete = body.dueComplete === 'true';
+                break;
+
+              case 'idList':
+                card.idList = get(this.lists, body.idList).id;
+                break;
+
+              default:
+                card[key] = body[key];
+            }
+          }
+        }
+        return this.serializeCard(card, query);
+      }
+
+      case 'POST cards/:id/idLabels': {
+        const card = get(this.cards, parts[1]);
+        if (card.idLabels.includes(body.value)) {
+          throw [400, 'that label is already on the card'];
+        }
+        card.idLabels.push(get(this.labels, body.value).id);
+        return card.idLabels;
+      }
+
+      case 'DELETE cards/:id/idLabels/:id': {
+        const card = get(this.cards, parts[1]);
+        card.idLabels = card.idLabels.filter(id => id !== parts[3]);
+        return [];
+      }
+
+      case 'POST cards/:id/idMembers': {
+        const card = get(this.cards, parts[1]);
+        if (card.idMembers.includes(body.value)) {
+          throw [400, 'member is already on the card'];
+        }
+        card.idMembers.push(get(this.members, body.value).id);
+        return card.idMembers;
+      }
+
+      case 'DELETE cards/:id/idMembers/:id': {
+        const card = get(this.cards, parts[1]);
+        card.idMembers = card.idMembers.filter(id => id !== parts[3]);
+        return [];
+      }
+
+      case 'POST cards/:id/actions/:id': {
+        const card = get(this.cards, parts[1]);
+        if (parts[3] !== 'comments') {
+          throw [404, 'Unsupported route: ' + method + ' ' + path];
+        }
+        const comment = {id: this.generateId(), text: body.text, date: new Date().toISOString()};
+        card.comments.push(comment);
+        return comment;
+      }
+
+      case 'POST cards/:id/attachments': {
+        const attachment = {id: this.generateId(), url: body.url};
+        get(this.cards, parts[1]).attachments.push(attachment);
+        return attachment;
+      }
+
+      case 'POST cards/:id/checklists':
+        return this.serializeChecklist(this.addChecklist(get(this.cards, parts[1]).id, body.name));
+
+      case 'POST checklists':
+        return this.serializeChecklist(this.addChecklist(get(this.cards, body.idCard).id, body.name));
+
+      case 'DELETE checklists/:id':
+        get(this.checklists, parts[1]);
+        this.checklists.delete(parts[1]);
+        return {};
+
+      case 'POST checklists/:id/checkItems':
+        return this.addCheckItem(get(this.checklists, parts[1]), body);
+
+      case 'DELETE checklists/:id/checkItems/:id': {
+        const checklist = get(this.checklists, parts[1]);
+        checklist.checkItems = checklist.checkItems.filter(item => item.id !== parts[3]);
+        return {};
+      }
+
+      case 'PUT cards/:id/checklist/:id/checkItem/:id': {
+        const checklist = get(this.checklists, parts[3]);
+        const item = checklist.checkItems.find(item => item.id === parts[5]);
+        if (!item) {
+          throw [404, 'Not found: ' + parts[5]];
+        }
+        if (body.hasOwnProperty('name')) {
+          item.name = body.name;
+        }
+        if (body.hasOwnProperty('pos')) {
+          item.pos = Number(body.pos);
+        }
+        if (body.hasOwnProperty('state')) {
+          item.state = body.state === 'true' || body.state === 'complete' ? 'complete' : 'incomplete';
+        }
+        return item;
+      }
+    }
+
+    throw [404, 'Unsupported route: ' + method + ' ' + path];
+  };
+
+  /**
+   * Start the HTTP server. Resolves to the base URL of the fake API.
+   */
+  this.listen = () => {
+    this.server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        const url = new URL(request.url, 'http://localhost');
+        const path = url.pathname.replace(/^\/1\//, '/');
+        const json = (request.headers['content-type'] || '').indexOf('application/json') === 0;
+        const data = json ? JSON.parse(body) : Object.fromEntries(new URLSearchParams(body));
+        this.requests.push({method: request.method, path: path, query: url.searchParams, body: data});
+
+        let status = 200;
+        let headers = {};
+        let result;
+        try {
+          const card = request.method !== 'GET' ? this.getRequestCard(path, data) : null;
+          result = this.handle(request.method, path, url.searchParams, data);
+          if (card) {
+            card.dateLastActivity = new Date().toISOString();
+          }
+        }
+        catch (exception) {
+          if (!Array.isArray(exception)) {
+            throw exception;
+          }
+          status = exception[0];
+          headers = exception[2] || {};
+          result = {message: exception[1]};
+        }
+
+        response.writeHead(status, Object.assign({'Content-Type': 'application/json'}, this.responseHeaders, headers));
+        response.end(JSON.stringify(result));
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve('http://127.0.0.1:' + this.server.address().port + '/1');
+      });
+    });
+  };
+
+  /**
+   * Stop the HTTP server.
+   */
+  this.close = () => {
+    return new Promise(resolve => this.server.close(resolve));
+  };
+}
+
+exports.FakeTrello = FakeTrello;
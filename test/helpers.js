@@ -0,0 +1,140 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {execFile, spawn} = require('node:child_process');
+
+const FakeTrello = require('./fakes/trello.js').FakeTrello;
+const FakeRWApi = require('./fakes/rwapi.js').FakeRWApi;
+
+/**
+ * Get an ISO date for the given number of days ago.
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - (days * 86400000)).toISOString().replace(/(\.\d+)?Z$/, '+00:00');
+}
+
+/**
+ * Load a fixture file.
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+}
+
+/**
+ * Start the fake Trello and ReliefWeb APIs.
+ */
+async function startFakes(fixtures) {
+  const trello = new FakeTrello();
+  const rwapi = new FakeRWApi(fixtures);
+  const urls = await Promise.all([trello.listen(), rwapi.listen()]);
+  return {
+    trello: trello,
+    rwapi: rwapi,
+    trelloUrl: urls[0],
+    rwapiUrl: urls[1],
+    close: () => Promise.all([trello.close(), rwapi.close()]),
+  };
+}
+
+/**
+ * Run the command line script with the given arguments and environment.
+ *
+ * Resolves to the exit code and the output of the script.
+ */
+function runCli(args, env = {}) {
+  return new Promise(resolve => {
+    const script = path.join(__dirname, '..', 'src', 'cli.js');
+    execFile(process.execPath, [script, ...args], {env: Object.assign({}, process.env, env)}, (error, stdout, stderr) => {
+      resolve({
+        code: error ? error.code : 0,
+        output: stdout + stderr,
+      });
+    });
+  });
+}
+
+/**
+ * Start the command line script without waiting for it to exit (ex: listen
+ * mode).
+ *
+ * Returns the child process, a promise resolving to its exit code and helpers
+ * to get its output and wait for a pattern in it.
+ */
+function startCli(args, env = {}) {
+  const script = path.join(__dirname, '..', 'src', 'cli.js');
+  const child = spawn(process.execPath, [script, ...args], {env: Object.assign({}, process.env, env)});
+
+  let output = '';
+  const state = {exited: false};
+  child.stdout.on('data', chunk => {
+    output += chunk;
+  });
+  child.stderr.on('data', chunk => {
+    output += chunk;
+  });
+
+  return {
+    child: child,
+    exited: new Promise(resolve => child.on('exit', code => {
+      state.exited = true;
+      resolve(code);
+    })),
+    output: () => output,
+    waitFor: async (pattern, timeout = 5000) => {
+      const end = Date.now() + timeout;
+      while (Date.now() < end && !state.exited) {
+        const match = pattern.exec(output);
+        if (match) {
+          return match;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error('Timeout waiting for ' + pattern + ' in:\n' + output);
+    },
+  };
+}
+
+/**
+ * Run a connector against the fakes with the given config.
+ *
+ * Resolves to the exit code and the output of the script.
+ */
+async function runConnector(connector, config, args = []) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rwint-trello-'));
+  const file = path.join(directory, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+
+  const result = await runCli([connector, '--config', file, ...args]);
+  fs.rmSync(directory, {recursive: true, force: true});
+  return result;
+}
+
+/**
+ * Build a connector config pointing at the fakes.
+ */
+function buildConfig(fakes, boardId, config = {}) {
+  return Object.assign({
+    debug: false,
+    trello: {
+      url: fakes.trelloUrl,
+      key: 'key',
+      token: 'token',
+      boardId: boardId,
+      retry: {maxRetries: 0},
+    },
+    rwapi: {
+      url: fakes.rwapiUrl,
+      appname: 'test',
+      preset: 'latest',
+      retry: {maxRetries: 0},
+    },
+  }, config);
+}
+
+exports.daysAgo = daysAgo;
+exports.loadFixture = loadFixture;
+exports.startFakes = startFakes;
+exports.runCli = runCli;
+exports.startCli = startCli;
+exports.runConnector = runConnector;
+exports.buildConfig = buildConfig;
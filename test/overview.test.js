@@ -0,0 +1,320 @@
+const assert = require('node:assert');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {startFakes, runConnector, buildConfig} = require('./helpers.js');
+
+/**
+ * Build the overview connector config.
+ */
+function overviewConfig(fakes, board, excluded = []) {
+  const config = buildConfig(fakes, board.id);
+  delete config.rwapi;
+  Object.assign(config.trello, {
+    organization: 'reliefweb',
+    projectPrefix: 'Project: ',
+    doerPrefix: 'Doer: ',
+    excludedBoards: excluded,
+  });
+  return config;
+}
+
+describe('Overview connector', () => {
+  let fakes;
+  let overview;
+  let team;
+  let lists;
+
+  beforeEach(async () => {
+    fakes = await startFakes();
+    overview = fakes.trello.addBoard({name: 'Overview', lists: ['Projects']});
+    team = fakes.trello.addBoard({name: 'Team', lists: ['To do', 'Done']});
+    lists = new Map(fakes.trello.getLists(team.id).map(list => [list.name, list]));
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  it('adds a checklist per board with the project actions', async () => {
+    const project = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      labels: ['Project: Alpha'],
+    });
+    const todo = fakes.trello.addCard({
+      idList: lists.get('To do').id,
+      name: 'Write the report',
+      labels: ['Project: Alpha', 'Doer: Ann'],
+      due: '2026-03-01T12:00:00.000Z',
+    });
+    const done = fakes.trello.addCard({
+      idList: lists.get('Done').id,
+      name: 'Collect the data',
+      labels: ['Project: Alpha'],
+    });
+    fakes.trello.addCard({
+      idList: lists.get('To do').id,
+      name: 'Unrelated',
+      labels: ['Project: Beta'],
+    });
+
+    const result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const checklists = fakes.trello.getChecklists(project.id);
+    assert.deepStrictEqual(checklists.map(checklist => checklist.name), ['Team']);
+
+    const items = checklists[0].checkItems;
+    assert.deepStrictEqual(items.map(item => [item.name, item.state]).sort(), [
+      [todo.shortUrl + ' - **Ann** - To do - *2026/03/01*', 'incomplete'],
+      [done.shortUrl + ' - *Not assigned* - Done', 'complete'],
+    ]);
+  });
+
+  it('removes the actions and checklists that are not relevant anymore', async () => {
+    const project = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      labels: ['Project: Alpha'],
+    });
+    const action = fakes.trello.addCard({
+      idList: lists.get('To do').id,
+      name: 'Write the report',
+      labels: ['Project: Alpha'],
+    });
+    fakes.trello.addChecklist(project.id, 'Team', [
+      action.shortUrl + ' - *Not assigned* - Done',
+      'https://trello.com/c/removed0 - *Not assigned* - To do',
+    ]);
+    fakes.trello.addChecklist(project.id, 'Old board');
+
+    const result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const checklists = fakes.trello.getChecklists(project.id);
+    assert.deepStrictEqual(checklists.map(checklist => checklist.name), ['Team']);
+    assert.deepStrictEqual(checklists[0].checkItems.map(item => item.name), [
+      action.shortUrl + ' - *Not assigned* - To do',
+    ]);
+  });
+
+  it('writes the project summary and flags the overdue actions', async () => {
+    const other = fakes.trello.addBoard({name: 'Other', lists: ['Backlog', 'Done']});
+    const otherLists = new Map(fakes.trello.getLists(other.id).map(list => [list.name, list]));
+    const project = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      desc: 'Project notes.',
+      labels: ['Project: Alpha'],
+    });
+    const late = fakes.trello.addCard({
+      idList: lists.get('To do').id,
+      name: 'Write the report',
+      labels: ['Project: Alpha', 'Doer: Ann'],
+      due: '2020-03-01T12:00:00.000Z',
+    });
+    fakes.trello.addCard({
+      idList: lists.get('Done').id,
+      name: 'Collect the data',
+      labels: ['Project: Alpha', 'Doer: Ann', 'Doer: Bob'],
+      due: '2020-02-01T12:00:00.000Z',
+    });
+    fakes.trello.addCard({
+      idList: otherLists.get('Backlog').id,
+      name: 'Review the report',
+      labels: ['Project: Alpha'],
+      due: '2100-01-01T12:00:00.000Z',
+    });
+
+    let result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.strictEqual(project.desc, [
+      'Project notes.',
+      '',
+      '[//]: # (rwint-trello:start)',
+      '',
+      '# Project Summary',
+      '',
+      'Actions done: **1/3** (33%)',
+      '',
+      '## Boards',
+      '',
+      '- Team: 1/2',
+      '- Other: 0/1',
+      '',
+      '## Overdue Actions',
+      '',
+      '- ' + late.shortUrl + ' - **Ann** - To do - *2020/03/01*',
+      '',
+      '## Doers',
+      '',
+      '- Ann: 1/2',
+      '- Bob: 1/1',
+      '- *Not assigned*: 0/1',
+      '',
+      '[//]: # (rwint-trello:end)',
+    ].join('\n'));
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(project), ['Overdue Actions', 'Project: Alpha']);
+
+    // Complete the late action.
+    late.idList = lists.get('Done').id;
+    result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.match(project.desc, /Actions done: \*\*2\/3\*\* \(67%\)\n[^]*## Overdue Actions\n\n\*None\*\n/);
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(project), ['Project: Alpha']);
+  });
+
+  it('detects the complete and in progress actions with the board completion rules', async () => {
+    const publications = fakes.trello.addBoard({name: 'Publications', lists: ['Not done yet', 'Editing', 'Published']});
+    const pubLists = new Map(fakes.trello.getLists(publications.id).map(list => [list.name, list]));
+    const project = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      labels: ['Project: Alpha'],
+    });
+    const cards = {
+      pending: fakes.trello.addCard({idList: pubLists.get('Not done yet').id, name: 'Pending', labels: ['Project: Alpha']}),
+      editing: fakes.trello.addCard({idList: pubLists.get('Editing').id, name: 'Editing', labels: ['Project: Alpha']}),
+      published: fakes.trello.addCard({idList: pubLists.get('Published').id, name: 'Published', labels: ['Project: Alpha']}),
+      labelled: fakes.trello.addCard({idList: pubLists.get('Not done yet').id, name: 'Labelled', labels: ['Project: Alpha', 'Completed']}),
+      due: fakes.trello.addCard({idList: pubLists.get('Not done yet').id, name: 'Due', labels: ['Project: Alpha'], due: '2100-01-01T12:00:00.000Z', dueComplete: true}),
+    };
+
+    const config = overviewConfig(fakes, overview);
+    config.completion = {
+      boards: {
+        Publications: {
+          lists: ['published'],
+          patterns: ['^closed'],
+          dueComplete: true,
+          labels: ['Completed'],
+          inProgress: {patterns: ['^edit']},
+        },
+      },
+    };
+    const result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const items = new Map(fakes.trello.getChecklists(project.id)[0].checkItems.map(item => [item.name, item.state]));
+    assert.deepStrictEqual(items, new Map([
+      [cards.pending.shortUrl + ' - *Not assigned* - Not done yet', 'incomplete'],
+      [cards.editing.shortUrl + ' - *Not assigned* - Editing - *In progress*', 'incomplete'],
+      [cards.published.shortUrl + ' - *Not assigned* - Published', 'complete'],
+      [cards.labelled.shortUrl + ' - *Not assigned* - Not done yet', 'complete'],
+      [cards.due.shortUrl + ' - *Not assigned* - Not done yet - *2100/01/01*', 'complete'],
+    ]));
+  });
+
+  it('matches the check items with their action card regardless of their text', async () => {
+    const project = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      labels: ['Project: Alpha'],
+    });
+    const report = fakes.trello.addCard({
+      idList: lists.get('To do').id,
+      name: 'Write the report',
+      labels: ['Project: Alpha', 'Doer: Ann'],
+    });
+    const data = fakes.trello.addCard({
+      idList: lists.get('Done').id,
+      name: 'Collect the data',
+      labels: ['Project: Alpha'],
+    });
+    const checklist = fakes.trello.addChecklist(project.id, 'Team', [
+      // Edited item text.
+      {name: 'Report (' + report.shortUrl + ') - ask Ann', checked: true},
+      // Long card URL.
+      data.shortUrl + '/12-collect-the-data - *Not assigned* - To do',
+      // Duplicate item.
+      report.shortUrl + ' - **Ann** - To do',
+      // Item without card link.
+      'Call the partners',
+    ]);
+    const ids = checklist.checkItems.map(item => item.id);
+
+    // The card whose check items couldn't be updated is only counted as
+    // failed.
+    fakes.trello.failOn('PUT cards/:id/checklist/:id/checkItem/:id');
+    let result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 3, result.output);
+    assert.match(result.output, /0 created, 0 updated, 0 archived, 0 unchanged, 1 failed/);
+
+    fakes.trello.failures.clear();
+    result = await runConnector('overview', overviewConfig(fakes, overview));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.deepStrictEqual(fakes.trello.getChecklists(project.id)[0].checkItems.map(item => [item.id, item.name, item.state]), [
+      [ids[0], report.shortUrl + ' - **Ann** - To do', 'incomplete'],
+      [ids[1], data.shortUrl + ' - *Not assigned* - Done', 'complete'],
+    ]);
+  });
+
+  it('creates the missing project cards and deactivates the projects without remaining actions', async () => {
+    const alpha = fakes.trello.addCard({
+      idList: fakes.trello.getLists(overview.id)[0].id,
+      name: 'Alpha',
+      labels: ['Project: Alpha'],
+    });
+    fakes.trello.addCard({idList: lists.get('Done').id, name: 'Collect the data', labels: ['Project: Alpha']});
+    const action = fakes.trello.addCard({idList: lists.get('To do').id, name: 'Write the report', labels: ['Project: Beta']});
+    fakes.trello.addCard({idList: lists.get('Done').id, name: 'Old report', labels: ['Project: Gamma']});
+
+    const config = overviewConfig(fakes, overview);
+    config.projectCards = {list: 'Projects', inactiveList: 'Inactive'};
+    let result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const getListName = card => fakes.trello.lists.get(card.idList).name;
+    let cards = fakes.trello.getCards(overview.id);
+    assert.deepStrictEqual(cards.map(card => [card.name, getListName(card), fakes.trello.getCardLabelNames(card)]), [
+      ['Alpha', 'Inactive', ['Project: Alpha']],
+      ['Beta', 'Projects', ['Project: Beta']],
+    ]);
+    const beta = cards[1];
+    assert.deepStrictEqual(fakes.trello.getChecklists(beta.id)[0].checkItems.map(item => item.name), [
+      action.shortUrl + ' - *Not assigned* - To do',
+    ]);
+
+    // Complete the Beta action and add an Alpha one.
+    action.idList = lists.get('Done').id;
+    fakes.trello.addCard({idList: lists.get('To do').id, name: 'Publish the data', labels: ['Project: Alpha']});
+    result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.deepStrictEqual([getListName(alpha), getListName(beta)], ['Projects', 'Inactive']);
+
+    // Archive the inactive projects when there is no inactive list.
+    delete config.projectCards.inactiveList;
+    result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.deepStrictEqual([alpha.closed, beta.closed], [false, true]);
+  });
+
+  it('leaves the project cards without actions in their list', async () => {
+    const list = fakes.trello.getLists(overview.id)[0];
+    const project = fakes.trello.addCard({idList: list.id, name: 'Delta', labels: ['Project: Delta']});
+
+    const config = overviewConfig(fakes, overview);
+    config.projectCards = {list: 'Projects', inactiveList: 'Inactive'};
+    let result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(project.idList, list.id);
+
+    delete config.projectCards.inactiveList;
+    result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(project.idList, list.id);
+    assert.strictEqual(project.closed, false);
+  });
+
+  it('rejects the invalid completion patterns', async () => {
+    const config = overviewConfig(fakes, overview);
+    config.completion = {boards: {Team: {patterns: ['^done$', '(closed']}}};
+
+    const result = await runConnector('overview', config);
+    assert.strictEqual(result.code, 2, result.output);
+    assert.match(result.output, /config\.completion\.boards\.Team\.patterns\[1\]: invalid regular expression \(closed/);
+  });
+});
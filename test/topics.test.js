@@ -0,0 +1,229 @@
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {loadFixture, startFakes, runConnector, buildConfig} = require('./helpers.js');
+
+/**
+ * Build the topic connector config.
+ */
+function topicConfig(fakes, board) {
+  return buildConfig(fakes, board.id, {
+    labels: {
+      'Featured': 'green',
+      'Draft': 'sky',
+      'Published': 'blue',
+      'Archived': 'purple',
+      'Last Update > 1 Week': 'yellow',
+      'Last Update > 1 Month': 'orange',
+      'Last Update > 2 Months': 'red',
+    },
+    lists: [
+      {status: 'draft', name: 'Draft', position: 2},
+      {status: 'published', name: 'Published', position: 3},
+      {status: 'archive', name: 'Archived', position: 4},
+    ],
+  });
+}
+
+describe('Topic connector', () => {
+  let fakes;
+  let board;
+
+  beforeEach(async () => {
+    fakes = await startFakes(loadFixture('topics'));
+    board = fakes.trello.addBoard({name: 'Topics', lists: ['Draft', 'Published', 'Archived']});
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  it('creates the cards with their checklists', async () => {
+    const result = await runConnector('topics', topicConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    const card = fakes.trello.findCardByAttachment('https://reliefweb.int/node/3002');
+    assert.strictEqual(card.name, 'Food Security');
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), ['Featured', 'Food and Nutrition', 'Last Update > 2 Months', 'Published']);
+    assert.match(card.desc, /^\[\/\/\]: # \(rwint-trello:start\)\n\n# Last Update\n\n10 Jan 2026 10:00:00 UTC\n\n# Introduction\n\nFood security updates\.\n\n\[\/\/\]: # \(rwint-trello:end\)$/);
+
+    const checklists = new Map(fakes.trello.getChecklists(card.id).map(checklist => [checklist.name, checklist]));
+    assert.deepStrictEqual(checklists.get('Rivers').checkItems.map(item => item.name), ['[Latest Updates](https://reliefweb.int/updates?view=reports)']);
+    assert.deepStrictEqual(checklists.get('Sections').checkItems.map(item => item.name), ['[Key Documents](https://reliefweb.int/updates?view=key)']);
+    assert.deepStrictEqual(checklists.get('Resources').checkItems.map(item => item.name), [
+      '[Dashboard](https://example.com/dashboard)',
+      '[Map](https://example.com/map)',
+    ]);
+  });
+
+  it('uses the configured staleness rules', async () => {
+    const config = topicConfig(fakes, board);
+    config.staleness = [
+      {label: 'Stale > 3 Months', color: 'black', days: 90, field: 'lastUpdate'},
+      {label: 'Stale > 10 Years', color: 'red', days: 3650, field: 'lastUpdate'},
+    ];
+
+    const result = await runConnector('topics', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    const card = fakes.trello.findCardByAttachment('https://reliefweb.int/node/3002');
+    assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), ['Featured', 'Food and Nutrition', 'Published', 'Stale > 3 Months']);
+    assert.strictEqual(fakes.trello.findLabel(board.id, 'Stale > 3 Months').color, 'black');
+  });
+
+  it('sets the due dates from the staleness rules', async () => {
+    const lists = new Map(fakes.trello.getLists(board.id).map(list => [list.name, list]));
+    const card = fakes.trello.addCard({
+      idList: lists.get('Draft').id,
+      name: 'Cholera',
+      due: '2025-12-01T00:00:00.000Z',
+      dueComplete: true,
+      attachments: ['https://reliefweb.int/node/3001'],
+    });
+    const config = topicConfig(fakes, board);
+    config.dueDate = 'lastUpdate';
+
+    let result = await runConnector('topics', config);
+    assert.strictEqual(result.code, 0, result.output);
+
+    // The due date is the last update day plus the lowest threshold (7 days).
+    assert.strictEqual(card.due, '2026-01-12T00:00:00.000Z');
+    assert.strictEqual(card.dueComplete, false);
+    const created = fakes.trello.findCardByAttachment('https://reliefweb.int/node/3002');
+    assert.strictEqual(created.due, '2026-01-17T00:00:00.000Z');
+
+    // The due date is left untouched once set.
+    card.dueComplete = true;
+    const count = fakes.trello.getMutations().length;
+    result = await runConnector('topics', config);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(fakes.trello.getMutations().length, count);
+    assert.strictEqual(card.dueComplete, true);
+  });
+
+  it('keeps the editor notes and updates the checklists', async () => {
+    const lists = new Map(fakes.trello.getLists(board.id).map(list => [list.name, list]));
+    const card = fakes.trello.addCard({
+      idList: lists.get('Draft').id,
+      name: 'Food Security',
+      desc: 'Editor notes.\n\n# Last Update\n\n1 Jan 2026 00:00:00 UTC\n\n# Introduction\n\nOld introduction.',
+      attachments: ['https://reliefweb.int/node/3002'],
+    });
+    fakes.trello.addChecklist(card.id, 'Resources', [
+      {name: '[Old title](https://example.com/map)', pos: 2},
+      {name: '[Removed](https://example.com/removed)', pos: 3},
+    ]);
+
+    const result = await runConnector('topics', topicConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.strictEqual(card.idList, lists.get('Published').id);
+    assert.strictEqual(card.desc, [
+      'Editor notes.',
+      '',
+      '[//]: # (rwint-trello:start)',
+      '',
+      '# Last Update',
+      '',
+      '10 Jan 2026 10:00:00 UTC',
+      '',
+      '# Introduction',
+      '',
+      'Food security updates.',
+      '',
+      '[//]: # (rwint-trello:end)',
+    ].join('\n'));
+
+    const resources = fakes.trello.getChecklists(card.id).find(checklist => checklist.name === 'Resources');
+    const items = resources.checkItems.sort((a, b) => a.pos - b.pos).map(item => item.name);
+    assert.deepStrictEqual(items, [
+      '[Dashboard](https://example.com/dashboard)',
+      '[Map](https://example.com/map)',
+    ]);
+  });
+
+  it('leaves the archived cards and the cards of the removed topics', async () => {
+    const list = fakes.trello.getLists(board.id).find(list => list.name === 'Published');
+    const archived = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Old name',
+      closed: true,
+      attachments: ['https://reliefweb.int/node/3002'],
+    });
+    const removed = fakes.trello.addCard({
+      idList: list.id,
+      name: 'Removed topic',
+      attachments: ['https://reliefweb.int/node/3999'],
+    });
+
+    const result = await runConnector('topics', topicConfig(fakes, board));
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.deepStrictEqual([archived.closed, archived.name], [true, 'Old name']);
+    assert.strictEqual(removed.closed, false);
+    assert.match(result.output, /0 archived/);
+  });
+
+  it('skips the unchanged topics when using a state file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rwint-trello-state-'));
+    const config = topicConfig(fakes, board);
+    config.stateFile = path.join(directory, 'state.json');
+
+    try {
+      let result = await runConnector('topics', config);
+      assert.strictEqual(result.code, 0, result.output);
+      const state = JSON.parse(fs.readFileSync(config.stateFile, 'utf8'));
+      assert.deepStrictEqual(Object.keys(state.entities).sort(), ['https://reliefweb.int/node/3001', 'https://reliefweb.int/node/3002']);
+
+      // Nothing changed so the cards are not diffed nor modified.
+      fakes.trello.requests = [];
+      result = await runConnector('topics', config);
+      assert.strictEqual(result.code, 0, result.output);
+      assert.strictEqual(fakes.trello.getMutations().length, 0);
+      assert.match(result.output, /2 unchanged/);
+
+      // The cards modified on Trello are synchronized again.
+      const card = fakes.trello.findCardByAttachment('https://reliefweb.int/node/3002');
+      card.idLabels = [];
+      card.dateLastActivity = new Date(Date.now() + 1000).toISOString();
+      result = await runConnector('topics', config);
+      assert.strictEqual(result.code, 0, result.output);
+      assert.deepStrictEqual(fakes.trello.getCardLabelNames(card), ['Featured', 'Food and Nutrition', 'Last Update > 2 Months', 'Published']);
+      assert.match(result.output, /1 updated, 0 archived, 1 unchanged/);
+    }
+    finally {
+      fs.rmSync(directory, {recursive: true, force: true});
+    }
+  });
+
+  it('retries the cards whose checklist items failed when using a state file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rwint-trello-state-'));
+    const config = topicConfig(fakes, board);
+    config.stateFile = path.join(directory, 'state.json');
+
+    try {
+      fakes.trello.failOn('POST checklists/:id/checkItems');
+      let result = await runConnector('topics', config);
+      assert.strictEqual(result.code, 3, result.output);
+      assert.match(result.output, /1 created, 0 updated, 0 archived, 0 unchanged, 1 failed/);
+      const state = JSON.parse(fs.readFileSync(config.stateFile, 'utf8'));
+      assert.strictEqual(state.entities.hasOwnProperty('https://reliefweb.int/node/3002'), false);
+
+      // The failed cards are not skipped on the next run.
+      fakes.trello.failures.clear();
+      result = await runConnector('topics', config);
+      assert.strictEqual(result.code, 0, result.output);
+      assert.match(result.output, /1 updated, 0 archived, 1 unchanged/);
+
+      const card = fakes.trello.findCardByAttachment('https://reliefweb.int/node/3002');
+      const checklists = new Map(fakes.trello.getChecklists(card.id).map(checklist => [checklist.name, checklist]));
+      assert.deepStrictEqual(checklists.get('Rivers').checkItems.map(item => item.name), ['[Latest Updates](https://reliefweb.int/updates?view=reports)']);
+    }
+    finally {
+      fs.rmSync(directory, {recursive: true, force: true});
+    }
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require('node:assert');
+const http = require('node:http');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const {startFakes} = require('./helpers.js');
+const TrelloClient = require('../src/libs/trello.js').TrelloClient;
+const RateLimiter = require('../src/libs/limiter.js').RateLimiter;
+
+// Logger recording the messages instead of printing them.
+const messages = [];
+const logger = {
+  info: message => messages.push(message),
+  debug: message => messages.push(message),
+  error: message => messages.push(message),
+};
+
+/**
+ * Get a URL on which the connections are refused.
+ */
+async function getClosedUrl() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  await new Promise(resolve => server.close(resolve));
+  return 'http://127.0.0.1:' + port + '/1';
+}
+
+describe('Trello client', () => {
+  let fakes;
+  let board;
+
+  beforeEach(async () => {
+    fakes = await startFakes();
+    board = fakes.trello.addBoard({name: 'Board', lists: ['List']});
+  });
+
+  afterEach(async () => {
+    await fakes.close();
+  });
+
+  /**
+   * Create a client for the fake Trello API.
+   */
+  function createClient(config = {}) {
+    return new TrelloClient(Object.assign({
+      url: fakes.trelloUrl,
+      key: 'key',
+      token: 'token',
+      retry: {maxRetries: 2, minDelay: 10, maxDelay: 2000},
+    }, config), logger);
+  }
+
+  it('retries the rate limited requests after the Retry-After delay', async () => {
+    fakes.trello.failOn('GET boards/:id', 429, {times: 1, headers: {'Retry-After': '1'}});
+    const client = createClient();
+
+    const start = Date.now();
+    const result = await client.get('/boards/' + board.id);
+    assert.strictEqual(result.name, 'Board');
+    assert.ok(Date.now() - start >= 900);
+    assert.strictEqual(fakes.trello.requests.length, 2);
+    assert.strictEqual(client.errors, 0);
+    assert.match(messages.pop(), /^Retrying GET request on \/boards\/\w+ in 1000ms \(429 Too Many Requests\)$/);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    fakes.trello.failOn('GET boards/:id', 503);
+    const client = createClient();
+
+    await assert.rejects(client.get('/boards/' + board.id), /503 Service Unavailable/);
+    assert.strictEqual(fakes.trello.requests.length, 3);
+    assert.strictEqual(client.errors, 1);
+  });
+
+  it('only retries the POST requests on rate limit or connection errors', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const client = createClient();
+
+    // A server error may happen after the card was created so it's not
+    // retried.
+    fakes.trello.failOn('POST cards', 500, {times: 1});
+    await assert.rejects(client.post('/cards', {idList: list.id, name: 'Card'}), /500 Internal Server Error/);
+    assert.strictEqual(fakes.trello.requests.length, 1);
+
+    // The rate limited requests were not processed.
+    fakes.trello.failOn('POST cards', 429, {times: 1});
+    const card = await client.post('/cards', {idList: list.id, name: 'Card'});
+    assert.strictEqual(card.name, 'Card');
+    assert.strictEqual(fakes.trello.requests.length, 3);
+    assert.strictEqual(fakes.trello.getCards(board.id).length, 1);
+
+    // The requests that couldn't be sent.
+    const closed = createClient({url: await getClosedUrl()});
+    let retries = 0;
+    closed.retryPolicy.sleep = async () => {
+      retries++;
+    };
+    await assert.rejects(closed.post('/cards', {idList: list.id, name: 'Card'}), /fetch failed/);
+    assert.strictEqual(retries, 2);
+  });
+
+  it('describes the changes with the card and its current values in dry run mode', async () => {
+    const list = fakes.trello.getLists(board.id)[0];
+    const card = fakes.trello.addCard({idList: list.id, name: 'Card', desc: 'Old'});
+    const client = new TrelloClient({url: fakes.trelloUrl, key: 'key', token: 'token'}, logger, true);
+
+    await client.get('/boards/' + board.id + '/cards');
+    await client.put('/cards/' + card.id, {desc: 'New'});
+    assert.strictEqual(fakes.trello.getMutations().length, 0);
+
+    const change = client.getPlan()['update card'][0];
+    assert.deepStrictEqual(change.card, {id: card.id, name: 'Card'});
+    assert.deepStrictEqual(change.before, {desc: 'Old'});
+    assert.deepStrictEqual(change.after, {desc: 'New'});
+
+    messages.length = 0;
+    client.reportPlan();
+    assert.deepStrictEqual(messages, [
+      'Dry run: 1 change(s) planned',
+      'Dry run: update card: 1',
+      'Dry run: - update card "Card" (' + card.id + '): desc "Old" -> "New"',
+    ]);
+  });
+
+  it('pauses the requests when the rate limit is reached', async () => {
+    fakes.trello.responseHeaders = {
+      'x-rate-limit-api-token-remaining': '0',
+      'x-rate-limit-api-token-interval-ms': '300',
+    };
+    const client = createClient();
+
+    const start = Date.now();
+    await client.get('/boards/' + board.id);
+    assert.ok(Date.now() - start < 300);
+    await client.get('/boards/' + board.id);
+    assert.ok(Date.now() - start >= 290);
+  });
+});
+
+describe('Rate limiter', () => {
+  it('limits the number of concurrent tasks', async () => {
+    const limiter = new RateLimiter({concurrency: 2});
+    let active = 0;
+    let maxActive = 0;
+    const task = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+    };
+
+    await Promise.all([task, task, task, task, task].map(task => limiter.schedule(task)));
+    assert.strictEqual(maxActive, 2);
+  });
+
+  it('limits the number of tasks started per interval', async () => {
+    const limiter = new RateLimiter({maxRequests: 2, interval: 200});
+    const start = Date.now();
+    const starts = await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => Date.now() - start)));
+    assert.ok(starts[1] < 100);
+    assert.ok(starts[2] >= 190);
+  });
+});
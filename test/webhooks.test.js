@@ -0,0 +1,162 @@
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const WebhookListener = require('../src/libs/webhooks.js').WebhookListener;
+
+// Logger recording the messages instead of printing them.
+const messages = [];
+const logger = {
+  info: message => messages.push(message),
+  debug: message => messages.push(message),
+  error: message => messages.push(message),
+};
+
+const callbackUrl = 'https://example.com/webhook';
+const secret = 'secret';
+
+/**
+ * Sign a notification body like Trello.
+ */
+function sign(body) {
+  return crypto.createHmac('sha1', secret)
+  .update(body + callbackUrl)
+  .digest('base64');
+}
+
+/**
+ * Get a card notification.
+ */
+function notification(type, cardId, idMemberCreator = 'member') {
+  return {
+    model: {id: 'board'},
+    action: {
+      type: type,
+      idMemberCreator: idMemberCreator,
+      data: {card: {id: cardId}},
+    },
+  };
+}
+
+describe('Webhook listener', () => {
+  let listener;
+  let events;
+  let url;
+
+  beforeEach(async () => {
+    events = [];
+    const trelloClient = {config: {token: 'token'}};
+    listener = new WebhookListener({callbackUrl, secret, port: 0, host: '127.0.0.1', maxBodySize: 1024}, logger, trelloClient, async event => {
+      events.push(event);
+    });
+    url = 'http://127.0.0.1:' + await listener.start();
+  });
+
+  afterEach(async () => {
+    await listener.stop();
+  });
+
+  /**
+   * Send a signed notification. Resolves to the response status.
+   */
+  async function send(data) {
+    const body = JSON.stringify(data);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', 'X-Trello-Webhook': sign(body)},
+      body: body,
+    });
+    return response.status;
+  }
+
+  /**
+   * Wait for the queued events to be processed.
+   */
+  async function processed() {
+    if (listener.processing !== null) {
+      await listener.processing;
+    }
+  }
+
+  it('answers the HEAD requests used by Trello to check the callback URL', async () => {
+    const response = await fetch(url, {method: 'HEAD'});
+    assert.strictEqual(response.status, 200);
+  });
+
+  it('queues the card events and coalesces the events for the same card', async () => {
+    assert.strictEqual(await send(notification('updateCard', 'card1')), 200);
+    assert.strictEqual(await send(notification('addLabelToCard', 'card1')), 200);
+    await processed();
+
+    assert.strictEqual(events.length, 2);
+    assert.deepStrictEqual(events[0], {type: 'updateCard', cardId: 'card1', boardId: 'board'});
+
+    // Events queued while the handler is busy.
+    listener.handler = async event => {
+      events.push(event);
+      await new Promise(resolve => setTimeout(resolve, 50));
+    };
+    events = [];
+    await send(notification('updateCard', 'card2'));
+    await send(notification('updateCard', 'card3'));
+    await send(notification('addLabelToCard', 'card3'));
+    await processed();
+    assert.deepStrictEqual(events.map(event => event.type + ' ' + event.cardId), [
+      'updateCard card2',
+      'addLabelToCard card3',
+    ]);
+  });
+
+  it('ignores the other actions and the actions of the connector', async () => {
+    listener.ignoredMembers.add('connector');
+
+    assert.strictEqual(await send(notification('commentCard', 'card1')), 200);
+    assert.strictEqual(await send({model: {id: 'board'}, action: {type: 'updateList', data: {list: {id: 'list'}}}}), 200);
+    assert.strictEqual(await send(notification('updateCard', 'card1', 'connector')), 200);
+    await processed();
+
+    assert.strictEqual(events.length, 0);
+  });
+
+  it('rejects the notifications with an invalid signature', async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {'X-Trello-Webhook': 'invalid'},
+      body: JSON.stringify(notification('updateCard', 'card1')),
+    });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(events.length, 0);
+
+    // Signature with the expected number of characters but not of bytes: the
+    // 28 UTF-8 bytes are received as 28 latin1 characters.
+    const status = await new Promise((resolve, reject) => {
+      const request = http.request(url, {method: 'POST', headers: {'X-Trello-Webhook': 'é'.repeat(14)}}, response => resolve(response.statusCode));
+      request.on('error', reject);
+      request.end(JSON.stringify(notification('updateCard', 'card1')));
+    });
+    assert.strictEqual(status, 401);
+
+    // The listener is still up.
+    assert.strictEqual(await send(notification('updateCard', 'card1')), 200);
+  });
+
+  it('rejects the requests larger than the maximum body size', async () => {
+    // Declared size.
+    const response = await fetch(url, {method: 'POST', body: 'x'.repeat(2048)});
+    assert.strictEqual(response.status, 413);
+
+    // Streamed body without declared size.
+    const status = await new Promise(resolve => {
+      const request = http.request(url, {method: 'POST'}, response => resolve(response.statusCode));
+      // The connection is closed without reading the rest of the body.
+      request.on('error', () => resolve(null));
+      for (let i = 0; i < 4; i++) {
+        request.write('x'.repeat(512));
+      }
+      request.end();
+    });
+    assert.strictEqual(status, 413);
+    assert.strictEqual(events.length, 0);
+  });
+});